@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+// syncs paypal plans with a definitions file and prints the slug -> planId map.
+//
+// usage: dsync-pay-plans <plans.json|plans.mjs> [--out plan-ids.json] [--store store.json] [--product name] [--sandbox] [--dry-run]
+// credentials come from PAYPAL_CLIENT_ID and PAYPAL_CLIENT_SECRET, PAYPAL_SANDBOX=1 works like --sandbox
+
+import fs from "fs";
+import path from "path";
+import { pathToFileURL } from "url";
+import dSyncPay, { JsonFileStore, MemoryStore } from "../index.mjs";
+
+function parseArgs(argv) {
+    const args = { file: null, out: null, store: null, product: undefined, sandbox: false, dryRun: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (arg === '--out') args.out = argv[++i];
+        else if (arg === '--store') args.store = argv[++i];
+        else if (arg === '--product') args.product = argv[++i];
+        else if (arg === '--sandbox') args.sandbox = true;
+        else if (arg === '--dry-run') args.dryRun = true;
+        else if (!args.file) args.file = arg;
+        else throw new Error(`unknown argument: ${arg}`);
+    }
+
+    if (!args.file) throw new Error("usage: dsync-pay-plans <plans.json|plans.mjs> [--out file] [--store file] [--product name] [--sandbox] [--dry-run]");
+    return args;
+}
+
+async function loadDefinitions(file) {
+    const filePath = path.resolve(file);
+
+    if (filePath.endsWith('.json')) {
+        return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    }
+
+    const module = await import(pathToFileURL(filePath).href);
+    return module.default || module.plans;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+
+    if (!process.env.PAYPAL_CLIENT_ID) throw new Error("missing PAYPAL_CLIENT_ID");
+    if (!process.env.PAYPAL_CLIENT_SECRET) throw new Error("missing PAYPAL_CLIENT_SECRET");
+
+    const payments = new dSyncPay({
+        domain: 'http://localhost',
+        store: args.store ? new JsonFileStore(args.store) : new MemoryStore(),
+        paypal: {
+            clientId: process.env.PAYPAL_CLIENT_ID,
+            clientSecret: process.env.PAYPAL_CLIENT_SECRET,
+            sandbox: args.sandbox || process.env.PAYPAL_SANDBOX === '1'
+        }
+    });
+
+    const definitions = await loadDefinitions(args.file);
+    const result = await payments.paypal.syncPlans(definitions, { product: args.product, dryRun: args.dryRun });
+
+    for (const change of result.changes) {
+        console.error(`${change.action.padEnd(11)} ${change.slug || '-'} ${change.planId || ''}`);
+    }
+
+    const json = JSON.stringify(result.plans, null, 2);
+    if (args.out && !args.dryRun) await fs.promises.writeFile(args.out, json + '\n');
+    console.log(json);
+}
+
+main().catch(error => {
+    console.error(error.response ? JSON.stringify(error.response) : error.message);
+    process.exit(1);
+});
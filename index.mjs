@@ -2,893 +2,5042 @@ import crypto from "crypto";
 import path from "path";
 import { fileURLToPath } from "url";
 import fs from "fs";
+import { MockServer } from "./mock.mjs";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-export default class dSyncPay {
-    constructor({
-                    app = null,
-                    domain = null,
-                    basePath = '/payments',
-                    redirects = {
-                        success: '/payment-success',
-                        error: '/payment-error',
-                        cancelled: '/payment-cancelled',
-                        subscriptionSuccess: '/subscription-success',
-                        subscriptionError: '/subscription-error'
-                    },
-                    paypal = null,
-                    coinbase = null,
-                    onPaymentCreated = null,
-                    onPaymentCompleted = null,
-                    onPaymentFailed = null,
-                    onPaymentCancelled = null,
-                    onSubscriptionCreated = null,
-                    onSubscriptionActivated = null,
-                    onSubscriptionCancelled = null,
-                    onError = null
-                } = {}) {
-        if (!app) throw new Error("missing express app instance");
-        if (!domain) throw new Error("missing domain");
+export { MockServer };
 
-        this.app = app;
-        this.domain = domain.endsWith('/') ? domain.slice(0, -1) : domain;
-        this.basePath = basePath;
-        this.redirects = redirects;
-        this.metadataCache = new Map();
+export const PaymentStatus = Object.freeze({
+    CREATED: 'created',
+    APPROVED: 'approved',
+    PENDING: 'pending',
+    COMPLETED: 'completed',
+    CANCELLED: 'cancelled',
+    EXPIRED: 'expired',
+    FAILED: 'failed',
+    REFUNDED: 'refunded'
+});
 
-        this.callbacks = {
-            onPaymentCreated,
-            onPaymentCompleted,
-            onPaymentFailed,
-            onPaymentCancelled,
-            onSubscriptionCreated,
-            onSubscriptionActivated,
-            onSubscriptionCancelled,
-            onError
-        };
+// active iso 4217 codes, everything not listed in MINOR_UNITS has two decimals
+const CURRENCIES = new Set((
+    'AED AFN ALL AMD ANG AOA ARS AUD AWG AZN BAM BBD BDT BGN BHD BIF BMD BND BOB BOV BRL BSD BTN BWP BYN BZD ' +
+    'CAD CDF CHE CHF CHW CLF CLP CNY COP COU CRC CUC CUP CVE CZK DJF DKK DOP DZD EGP ERN ETB EUR FJD FKP GBP ' +
+    'GEL GHS GIP GMD GNF GTQ GYD HKD HNL HTG HUF IDR ILS INR IQD IRR ISK JMD JOD JPY KES KGS KHR KMF KPW KRW ' +
+    'KWD KYD KZT LAK LBP LKR LRD LSL LYD MAD MDL MGA MKD MMK MNT MOP MRU MUR MVR MWK MXN MXV MYR MZN NAD NGN ' +
+    'NIO NOK NPR NZD OMR PAB PEN PGK PHP PKR PLN PYG QAR RON RSD RUB RWF SAR SBD SCR SDG SEK SGD SHP SLE SLL ' +
+    'SOS SRD SSP STN SVC SYP SZL THB TJS TMT TND TOP TRY TTD TWD TZS UAH UGX USD USN UYI UYU UYW UZS VED VES ' +
+    'VND VUV WST XAF XCD XOF XPF YER ZAR ZMW ZWL'
+).split(' '));
 
-        this.webPath = path.join(__dirname, "web");
-        if(!fs.existsSync(this.webPath)) throw new Error("missing web path");
+const MINOR_UNITS = {
+    BIF: 0, CLP: 0, DJF: 0, GNF: 0, ISK: 0, JPY: 0, KMF: 0, KRW: 0, PYG: 0, RWF: 0,
+    UGX: 0, UYI: 0, VND: 0, VUV: 0, XAF: 0, XOF: 0, XPF: 0,
+    BHD: 3, IQD: 3, JOD: 3, KWD: 3, LYD: 3, OMR: 3, TND: 3,
+    CLF: 4, UYW: 4
+};
+
+// amounts are handled as integer minor units (cents, yen, fils) internally and only
+// turned into decimal strings when talking to a provider
+class Money {
+    static currency(code) {
+        const currency = typeof code === 'string' ? code.toUpperCase() : null;
+        if (!currency || !CURRENCIES.has(currency)) throw new Error(`invalid currency: ${code}`);
+        return currency;
+    }
+
+    static exponent(currency) {
+        return MINOR_UNITS[Money.currency(currency)] ?? 2;
+    }
+
+    // parses a decimal amount without going through float multiplication, extra
+    // decimals are rounded half up. with minorUnits the value must already be an integer.
+    static toMinor(value, currency, { minorUnits = false, allowZero = false, name = 'amount' } = {}) {
+        const exponent = Money.exponent(currency);
+        let minor;
 
-        if (paypal) {
-            if (!paypal.clientId) throw new Error("missing paypal.clientId");
-            if (!paypal.clientSecret) throw new Error("missing paypal.clientSecret");
-            this.paypal = new this.PayPal(this, paypal);
+        if (minorUnits) {
+            if (!Number.isSafeInteger(Number(value))) throw new Error(`invalid ${name}: expected integer minor units`);
+            minor = Number(value);
+        } else {
+            const text = typeof value === 'number' ? Money.plain(value) : String(value ?? '').trim();
+            const match = /^(\d+)(?:\.(\d+))?$/.exec(text);
+            if (!match) throw new Error(`invalid ${name}: ${value}`);
+
+            const fraction = (match[2] || '').padEnd(exponent + 1, '0');
+            minor = Number(match[1]) * 10 ** exponent + Number(fraction.slice(0, exponent) || 0);
+            if (Number(fraction[exponent]) >= 5) minor += 1;
         }
 
-        if (coinbase) {
-            if (!coinbase.apiKey) throw new Error("missing coinbase.apiKey");
-            this.coinbase = new this.Coinbase(this, coinbase);
+        if (minor < 0 || (minor === 0 && !allowZero)) throw new Error(`invalid ${name}: ${value}`);
+        return minor;
+    }
+
+    // number to plain decimal string, avoiding exponent notation for tiny or huge values
+    static plain(value) {
+        if (!Number.isFinite(value) || value < 0) return String(value);
+        const text = String(value);
+        return text.includes('e') ? value.toFixed(20).replace(/\.?0+$/, '') : text;
+    }
+
+    static format(minor, currency) {
+        const exponent = Money.exponent(currency);
+        if (exponent === 0) return String(minor);
+
+        const digits = String(Math.abs(minor)).padStart(exponent + 1, '0');
+        const sign = minor < 0 ? '-' : '';
+        return `${sign}${digits.slice(0, -exponent)}.${digits.slice(-exponent)}`;
+    }
+
+    static toNumber(minor, currency) {
+        return Number(Money.format(minor, currency));
+    }
+
+    // normalizes an amount reported by a provider, e.g. "19.990" -> 19.99
+    static parse(value, currency) {
+        if (value === null || value === undefined || value === '') return 0;
+        return Money.toNumber(Money.toMinor(value, currency, { allowZero: true }), currency);
+    }
+}
+
+// every failed api call throws one of these. status and response are kept from the
+// plain errors used before, debugId is what the provider's support asks for
+export class PaymentError extends Error {
+    constructor(message, { provider = null, status = null, code = null, debugId = null, response = null, retryable = false, cause } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = this.constructor.name;
+        this.provider = provider;
+        this.status = status;
+        this.code = code;
+        this.debugId = debugId;
+        this.response = response;
+        this.retryable = retryable;
+    }
+}
+
+// rejected credentials or a token that is no longer valid (401, 403)
+export class AuthenticationError extends PaymentError {}
+
+// the provider refused the request itself (400, 404, 409, 422)
+export class ValidationError extends PaymentError {}
+
+// rate limits and provider side failures (429, 5xx)
+export class ProviderError extends PaymentError {}
+
+// no response at all, like timeouts, dns or connection errors
+export class NetworkError extends PaymentError {}
+
+// a once-only callback threw. the payment itself went through, result is what
+// verifying it returned and the error the callback threw is the cause
+export class CallbackError extends Error {
+    constructor(error, event, result) {
+        super(`${event} callback failed: ${error?.message || error}`, { cause: error });
+        this.name = this.constructor.name;
+        this.event = event;
+        this.result = result;
+    }
+}
+
+// stores implement async get(key), set(key, value, ttl) and delete(key).
+// ttl is in milliseconds, a falsy ttl keeps the entry until it is deleted.
+// keys(prefix) is optional and only needed by the ledger.
+export class MemoryStore {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    async get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+
+        if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            return null;
         }
 
-        // serve static files from web/ folder
-        this.app.get(`${this.basePath}/payment-status.html`, (req, res) => {
-            res.sendFile(path.join(__dirname, "web", "payment-status.html"));
+        return entry.value;
+    }
+
+    async set(key, value, ttl = null) {
+        this.entries.set(key, {
+            value,
+            expiresAt: ttl ? Date.now() + ttl : null
         });
+    }
 
-        this.registerRoutes(basePath);
-        this.registerRedirectRoutes();
+    async delete(key) {
+        this.entries.delete(key);
     }
 
-    getUrl(path) {
-        return `${this.domain}${this.basePath}${path}`;
+    async keys(prefix = '') {
+        const now = Date.now();
+        return [...this.entries.entries()]
+            .filter(([key, entry]) => key.startsWith(prefix) && !(entry.expiresAt && entry.expiresAt <= now))
+            .map(([key]) => key);
     }
+}
 
-    async emit(event, data) {
-        const callback = this.callbacks[event];
-        if (callback) {
-            try {
-                await callback(data);
-            } catch (err) {
-                console.error("callback error:", err);
-            }
+export class JsonFileStore {
+    constructor(filePath) {
+        if (!filePath) throw new Error("missing store file path");
+
+        this.filePath = filePath;
+        this.entries = null;
+        this.loading = null;
+        this.writeQueue = Promise.resolve();
+    }
+
+    // calls made before the first read finishes share it, otherwise each of them
+    // would replace the entries the others already wrote to
+    load() {
+        if (this.entries) return Promise.resolve(this.entries);
+
+        if (!this.loading) {
+            this.loading = this.read().then(entries => {
+                this.entries = entries;
+                return entries;
+            }).finally(() => {
+                this.loading = null;
+            });
         }
+
+        return this.loading;
     }
 
-    generateId(length = 17) {
-        let id = '';
-        for (let i = 0; i < length; i++) {
-            id += Math.floor(Math.random() * 10);
+    async read() {
+        try {
+            const content = await fs.promises.readFile(this.filePath, "utf8");
+            return content ? JSON.parse(content) : {};
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            return {};
         }
-        return id;
     }
 
-    sha256(data) {
-        return crypto.createHash("sha256").update(data).digest("hex");
+    // writes are chained so concurrent set/delete calls never interleave on disk.
+    // a failed write rejects only its own caller, the next one writes everything again
+    persist() {
+        const write = this.writeQueue.then(async () => {
+            const now = Date.now();
+            for (const [key, entry] of Object.entries(this.entries)) {
+                if (entry.expiresAt && entry.expiresAt <= now) delete this.entries[key];
+            }
+
+            const tempPath = `${this.filePath}.tmp`;
+            await fs.promises.writeFile(tempPath, JSON.stringify(this.entries));
+            await fs.promises.rename(tempPath, this.filePath);
+        });
+
+        this.writeQueue = write.catch(() => {});
+        return write;
     }
 
-    async request(url, options = {}) {
-        const {
-            method = 'GET',
-            headers = {},
-            body = null,
-            auth = null,
-            params = null
-        } = options;
+    async get(key) {
+        const entries = await this.load();
+        const entry = entries[key];
+        if (!entry) return null;
 
-        let finalUrl = url;
-        if (params) {
-            const query = new URLSearchParams(params).toString();
-            finalUrl = `${url}?${query}`;
+        if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+            delete entries[key];
+            await this.persist();
+            return null;
         }
 
-        const fetchOptions = {
-            method,
-            headers: { ...headers }
+        return entry.value;
+    }
+
+    async set(key, value, ttl = null) {
+        const entries = await this.load();
+        entries[key] = {
+            value,
+            expiresAt: ttl ? Date.now() + ttl : null
         };
+        await this.persist();
+    }
 
-        if (auth) {
-            const credentials = Buffer.from(`${auth.username}:${auth.password}`).toString('base64');
-            fetchOptions.headers['Authorization'] = `Basic ${credentials}`;
+    async delete(key) {
+        const entries = await this.load();
+        if (!(key in entries)) return;
+
+        delete entries[key];
+        await this.persist();
+    }
+
+    async keys(prefix = '') {
+        const entries = await this.load();
+        const now = Date.now();
+
+        return Object.keys(entries)
+            .filter(key => key.startsWith(prefix) && !(entries[key].expiresAt && entries[key].expiresAt <= now));
+    }
+}
+
+// works with any synchronous sqlite handle exposing prepare().run/get,
+// e.g. better-sqlite3 or node:sqlite's DatabaseSync
+export class SqliteStore {
+    constructor(db, { table = 'dsync_pay_store' } = {}) {
+        if (!db) throw new Error("missing sqlite database");
+        if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(table)) throw new Error("invalid sqlite table name");
+
+        this.db = db;
+        this.table = table;
+
+        this.db.prepare(
+            `CREATE TABLE IF NOT EXISTS ${table} (key TEXT PRIMARY KEY, value TEXT NOT NULL, expires_at INTEGER)`
+        ).run();
+    }
+
+    async get(key) {
+        const row = this.db.prepare(`SELECT value, expires_at FROM ${this.table} WHERE key = ?`).get(key);
+        if (!row) return null;
+
+        if (row.expires_at && row.expires_at <= Date.now()) {
+            await this.delete(key);
+            return null;
         }
 
-        if (body) {
-            fetchOptions.body = typeof body === 'string' ? body : JSON.stringify(body);
-            if (!fetchOptions.headers['Content-Type']) {
-                fetchOptions.headers['Content-Type'] = 'application/json';
+        return JSON.parse(row.value);
+    }
+
+    async set(key, value, ttl = null) {
+        this.db.prepare(
+            `INSERT INTO ${this.table} (key, value, expires_at) VALUES (?, ?, ?)
+             ON CONFLICT(key) DO UPDATE SET value = excluded.value, expires_at = excluded.expires_at`
+        ).run(key, JSON.stringify(value), ttl ? Date.now() + ttl : null);
+    }
+
+    async delete(key) {
+        this.db.prepare(`DELETE FROM ${this.table} WHERE key = ?`).run(key);
+    }
+
+    async keys(prefix = '') {
+        const rows = this.db.prepare(
+            `SELECT key FROM ${this.table} WHERE substr(key, 1, ?) = ? AND (expires_at IS NULL OR expires_at > ?)`
+        ).all(prefix.length, prefix, Date.now());
+
+        return rows.map(row => row.key);
+    }
+}
+
+// keeps a record of every payment the callbacks saw, see "Ledger" in the README.
+// needs a store with keys(prefix) to list them
+class Ledger {
+    constructor(parent, store) {
+        if (typeof store.keys !== 'function') throw new Error("ledger store is missing keys()");
+
+        this.parent = parent;
+        this.store = store;
+        this.queue = Promise.resolve();
+    }
+
+    static EVENTS = [
+        'onPaymentCreated', 'onPaymentCompleted', 'onPaymentFailed', 'onPaymentCancelled', 'onPaymentRefunded',
+        'onSubscriptionActivated', 'onSubscriptionSuspended', 'onSubscriptionCancelled', 'onSubscriptionUpdated', 'onSubscriptionPaymentFailed'
+    ];
+
+    // the status a subscription record gets, the other subscription events only add to its history
+    static SUBSCRIPTION_STATUSES = {
+        onSubscriptionActivated: 'active',
+        onSubscriptionSuspended: 'suspended',
+        onSubscriptionCancelled: PaymentStatus.CANCELLED
+    };
+
+    // the id a provider knows the payment by first, ids that show up later on (captures, payment intents) after
+    paymentIds(data) {
+        return [
+            data.orderId,
+            data.chargeId,
+            data.sessionId,
+            data.captureId,
+            data.paymentIntentId,
+            data.chargeCode,
+            data.type === 'session' ? null : data.subscriptionId
+        ].filter(Boolean);
+    }
+
+    // records are written one after another so two events for a payment never overwrite each other
+    record(event, data) {
+        if (!Ledger.EVENTS.includes(event) || !data?.provider) return this.queue;
+
+        this.queue = this.queue.then(() => this.apply(event, data)).catch(error => {
+            console.error("ledger error:", error);
+        });
+
+        return this.queue;
+    }
+
+    async apply(event, data) {
+        const ids = this.paymentIds(data);
+        if (!ids.length) return;
+
+        const now = new Date().toISOString();
+        let record = await this.find(data.provider, ids);
+        const isRefund = event === 'onPaymentRefunded';
+        // a failed renewal is not what the subscription costs
+        const keepsAmount = isRefund || event === 'onSubscriptionPaymentFailed';
+
+        if (!record) {
+            record = {
+                id: `${data.provider}:${ids[0]}`,
+                provider: data.provider,
+                paymentId: ids[0],
+                transactionId: null,
+                type: isRefund ? null : data.type,
+                status: null,
+                amount: null,
+                currency: null,
+                refundedAmount: 0,
+                refunds: [],
+                metadata: {},
+                ids: [],
+                history: [],
+                createdAt: now,
+                updatedAt: now
+            };
+        }
+
+        if (!isRefund) {
+            record.type = record.type || data.type;
+            record.transactionId = data.transactionId || record.transactionId;
+        }
+
+        if (!keepsAmount) {
+            if (data.amount !== undefined && data.amount !== null) record.amount = data.amount;
+            record.currency = data.currency || record.currency;
+        }
+
+        if (data.metadata && Object.keys(data.metadata).length) record.metadata = { ...record.metadata, ...data.metadata };
+
+        if (isRefund && !record.refunds.some(refund => refund.refundId && refund.refundId === data.refundId)) {
+            record.refunds.push({
+                refundId: data.refundId || null,
+                status: data.status,
+                amount: data.amount,
+                currency: data.currency,
+                reason: data.reason || null,
+                time: now
+            });
+
+            const currency = record.currency || data.currency;
+            const refunded = record.refunds.reduce((sum, refund) => sum + Money.toMinor(refund.amount || 0, currency, { allowZero: true }), 0);
+            record.refundedAmount = Money.toNumber(refunded, currency);
+        }
+
+        record.status = this.status(event, data, record);
+        record.history.push({ event, status: record.status, providerStatus: data.status || null, time: now });
+        record.updatedAt = now;
+
+        const newIds = ids.filter(id => id !== record.paymentId && !record.ids.includes(id));
+        record.ids.push(...newIds);
+
+        await this.store.set(`ledger:${record.id}`, record);
+        for (const id of newIds) await this.store.set(`ledger-ref:${data.provider}:${id}`, record.id);
+    }
+
+    status(event, data, record) {
+        if (event.startsWith('onSubscription')) return Ledger.SUBSCRIPTION_STATUSES[event] || record.status;
+
+        switch (event) {
+            case 'onPaymentCreated':
+                return PaymentStatus.CREATED;
+            case 'onPaymentCompleted':
+                return PaymentStatus.COMPLETED;
+            case 'onPaymentCancelled':
+                return PaymentStatus.CANCELLED;
+            case 'onPaymentRefunded':
+                return record.amount !== null && record.refundedAmount >= record.amount
+                    ? PaymentStatus.REFUNDED
+                    : (record.status || PaymentStatus.COMPLETED);
+            default: {
+                // a failed verification of a payment the buyer can still finish keeps it open
+                const status = this.parent.providers[data.provider]?.normalizeStatus(data.status);
+                return [PaymentStatus.CREATED, PaymentStatus.APPROVED, PaymentStatus.PENDING, PaymentStatus.EXPIRED].includes(status)
+                    ? status
+                    : PaymentStatus.FAILED;
             }
         }
+    }
 
-        const response = await fetch(finalUrl, fetchOptions);
-        const text = await response.text();
+    async find(provider, ids) {
+        for (const id of ids) {
+            const record = await this.store.get(`ledger:${provider}:${id}`);
+            if (record) return record;
 
-        if (!response.ok) {
-            const error = new Error(`http error: ${response.status}`);
-            error.status = response.status;
-            error.response = text ? JSON.parse(text) : null;
-            throw error;
+            const ref = await this.store.get(`ledger-ref:${provider}:${id}`);
+            if (ref) return this.store.get(`ledger:${ref}`);
         }
 
-        return text ? JSON.parse(text) : null;
+        return null;
     }
 
-    PayPal = class {
-        constructor(parent, config) {
-            this.parent = parent;
-            this.config = config;
-            this.baseUrl = config.sandbox
-                ? 'https://api-m.sandbox.paypal.com'
-                : 'https://api-m.paypal.com';
-            this.tokenCache = null;
-            this.tokenExpiry = null;
+    async all() {
+        await this.queue;
+
+        const records = [];
+        for (const key of await this.store.keys('ledger:')) {
+            const record = await this.store.get(key);
+            if (record) records.push(record);
         }
 
-        async getAccessToken() {
-            if (this.tokenCache && this.tokenExpiry > Date.now()) {
-                return this.tokenCache;
-            }
+        return records;
+    }
 
-            try {
-                const response = await this.parent.request(
-                    `${this.baseUrl}/v1/oauth2/token`,
-                    {
-                        method: 'POST',
-                        auth: {
-                            username: this.config.clientId,
-                            password: this.config.clientSecret
-                        },
-                        params: {
-                            grant_type: 'client_credentials'
-                        },
-                        headers: {
-                            "Accept": "application/json",
-                            "Accept-Language": "en_US"
-                        }
-                    }
-                );
+    async get(id) {
+        await this.queue;
 
-                this.tokenCache = response.access_token;
-                this.tokenExpiry = Date.now() + (60 * 60 * 1000);
-                return this.tokenCache;
-            } catch (error) {
-                this.parent.emit('onError', {
-                    type: 'auth',
-                    provider: 'paypal',
-                    error: error.response || error.message
-                });
-                throw error;
-            }
+        const direct = await this.store.get(`ledger:${id}`);
+        if (direct) return direct;
+
+        for (const provider of Object.keys(this.parent.providers)) {
+            const record = await this.find(provider, [id]);
+            if (record) return record;
         }
 
-        async createOrder({
-                              title,
-                              description = 'no description',
-                              price,
-                              quantity = 1,
-                              currency = 'EUR',
-                              returnUrl = this.parent.getUrl('/paypal/verify'),
-                              cancelUrl = this.parent.getUrl('/cancel'),
-                              customId = this.parent.generateId(),
-                              metadata = {}
-                          }) {
-            if (!title) throw new Error('missing title');
-            if (!price) throw new Error('missing price');
+        return (await this.all()).find(record => record.transactionId === id) || null;
+    }
 
-            const accessToken = await this.getAccessToken();
-            const totalAmount = (price * quantity).toFixed(2);
-
-            const orderPayload = {
-                intent: "CAPTURE",
-                purchase_units: [{
-                    amount: {
-                        currency_code: currency,
-                        value: totalAmount,
-                        breakdown: {
-                            item_total: {
-                                currency_code: currency,
-                                value: totalAmount
-                            }
-                        }
-                    },
-                    items: [{
-                        name: title,
-                        description: description,
-                        unit_amount: {
-                            currency_code: currency,
-                            value: price.toFixed(2)
-                        },
-                        quantity: `${quantity}`
-                    }],
-                    custom_id: customId
-                }],
-                application_context: {
-                    return_url: returnUrl,
-                    cancel_url: cancelUrl
-                }
-            };
+    async list({ status = null, provider = null, metadata = null, from = null, to = null, limit = null } = {}) {
+        const statuses = status ? [].concat(status) : null;
+        const fromTime = from ? new Date(from).getTime() : null;
+        const toTime = to ? new Date(to).getTime() : null;
 
-            try {
-                const response = await this.parent.request(
-                    `${this.baseUrl}/v2/checkout/orders`,
-                    {
-                        method: 'POST',
-                        headers: {
-                            "Content-Type": "application/json",
-                            "Authorization": `Bearer ${accessToken}`
-                        },
-                        body: orderPayload
-                    }
-                );
+        const records = (await this.all()).filter(record => {
+            if (statuses && !statuses.includes(record.status)) return false;
+            if (provider && record.provider !== provider) return false;
+            if (fromTime && new Date(record.createdAt).getTime() < fromTime) return false;
+            if (toTime && new Date(record.createdAt).getTime() > toTime) return false;
+            if (metadata && !Object.entries(metadata).every(([key, value]) => record.metadata?.[key] === value)) return false;
+            return true;
+        });
+
+        records.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        return limit ? records.slice(0, limit) : records;
+    }
+}
 
-                const approvalUrl = response.links.find(link => link.rel === "approve").href;
+// re-checks payments nobody verified, e.g. because the buyer closed the tab after paying.
+// open payments are tracked in the store from onPaymentCreated until they are settled
+class Reconciler {
+    constructor(parent, { interval = 5 * 60 * 1000, maxAge = 24 * 60 * 60 * 1000 } = {}) {
+        if (typeof parent.store.keys !== 'function') throw new Error("reconciler store is missing keys()");
 
-                const result = {
-                    provider: 'paypal',
-                    type: 'order',
-                    approvalUrl,
-                    transactionId: customId,
-                    orderId: response.id,
-                    amount: parseFloat(totalAmount),
-                    currency,
-                    metadata,
-                    rawResponse: response
-                };
+        this.parent = parent;
+        this.interval = interval;
+        this.maxAge = maxAge;
+        this.running = null;
+        this.timer = null;
+    }
 
-                this.parent.metadataCache.set(response.id, metadata);
+    static OPEN = [PaymentStatus.CREATED, PaymentStatus.APPROVED, PaymentStatus.PENDING];
 
-                setTimeout(() => {
-                    this.parent.metadataCache.delete(response.id);
-                }, 60 * 60 * 1000);
+    start() {
+        if (this.timer || !this.interval) return;
 
-                this.parent.emit('onPaymentCreated', result);
-                return result;
+        this.timer = setInterval(() => {
+            this.run().catch(error => console.error("reconcile error:", error));
+        }, this.interval);
+
+        // never keeps the process alive on its own
+        this.timer.unref?.();
+    }
+
+    stop() {
+        if (this.timer) clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    paymentId(data) {
+        return data.orderId || data.chargeId || data.sessionId || null;
+    }
+
+    async track(event, data) {
+        if (!data?.provider || data.type === 'subscription' || data.type === 'refund') return;
+
+        const id = this.paymentId(data);
+        if (!id) return;
+
+        const key = `pending:${data.provider}:${id}`;
+
+        if (event === 'onPaymentCreated') {
+            await this.parent.store.set(key, { provider: data.provider, paymentId: id, createdAt: Date.now() }, this.parent.processedTtl);
+            return;
+        }
+
+        // a failed verification of a payment the buyer can still finish stays tracked
+        const status = this.parent.providers[data.provider]?.normalizeStatus(data.status);
+        if (event === 'onPaymentFailed' && Reconciler.OPEN.includes(status)) return;
+
+        if (['onPaymentCompleted', 'onPaymentCancelled', 'onPaymentFailed'].includes(event)) {
+            await this.parent.store.delete(key);
+        }
+    }
+
+    // overlapping calls share one run
+    run() {
+        if (!this.running) {
+            this.running = this.check().finally(() => {
+                this.running = null;
+            });
+        }
+
+        return this.running;
+    }
+
+    async check() {
+        const summary = { checked: 0, settled: 0, expired: 0, open: 0, errors: 0 };
+
+        for (const key of await this.parent.store.keys('pending:')) {
+            const entry = await this.parent.store.get(key);
+            if (!entry) continue;
+
+            const provider = this.parent.providers[entry.provider];
+            if (!provider) continue;
+
+            summary.checked++;
+
+            try {
+                // looked up first, so payments nobody has paid yet don't fire onPaymentFailed on every run
+                const payment = await provider.getPayment(entry.paymentId);
+
+                if (!Reconciler.OPEN.includes(payment.status) || payment.status === PaymentStatus.APPROVED) {
+                    // captures approved paypal orders and fires the usual callbacks
+                    const verified = await provider.verifyPayment(entry.paymentId);
+                    if (!Reconciler.OPEN.includes(verified.status)) {
+                        await this.parent.store.delete(key);
+                        summary.settled++;
+                        continue;
+                    }
+                }
+
+                if (Date.now() - entry.createdAt > this.maxAge) {
+                    await this.expire(provider, entry, payment);
+                    await this.parent.store.delete(key);
+                    summary.expired++;
+                } else {
+                    summary.open++;
+                }
             } catch (error) {
+                summary.errors++;
                 this.parent.emit('onError', {
-                    type: 'order_creation',
-                    provider: 'paypal',
+                    type: 'reconcile',
+                    provider: entry.provider,
+                    paymentId: entry.paymentId,
                     error: error.response || error.message
                 });
-                throw error;
             }
         }
 
-        async verifyOrder(orderId) {
-            const accessToken = await this.getAccessToken();
+        return summary;
+    }
 
-            try {
-                let orderResponse = await this.parent.request(
-                    `${this.baseUrl}/v2/checkout/orders/${orderId}`,
-                    {
-                        headers: {
-                            "Authorization": `Bearer ${accessToken}`
-                        }
-                    }
-                );
+    // providers that can cancel a payment do, the others just report it as expired
+    async expire(provider, entry, payment) {
+        if (provider.cancelPayment !== PaymentProvider.prototype.cancelPayment) {
+            return provider.cancelPayment(entry.paymentId);
+        }
 
-                let orderStatus = orderResponse.status;
-
-                if (orderStatus === "APPROVED") {
-                    const captureResponse = await this.parent.request(
-                        `${this.baseUrl}/v2/checkout/orders/${orderId}/capture`,
-                        {
-                            method: 'POST',
-                            headers: {
-                                "Authorization": `Bearer ${accessToken}`
-                            },
-                            body: {}
-                        }
-                    );
+        const result = { ...payment.result, status: 'EXPIRED', expired: true };
+        await this.parent.emit('onPaymentFailed', result);
+        return result;
+    }
+}
 
-                    orderStatus = captureResponse.status;
-                    orderResponse = captureResponse;
-                }
+// hosted "choose how to pay" pages, see "Checkout Sessions" in the README. a session is a
+// cart kept in the store, the provider payment is only created once the buyer picks one
+class Checkout {
+    constructor(parent) {
+        this.parent = parent;
+    }
+
+    async create({
+                     items,
+                     title = null,
+                     currency = 'EUR',
+                     allowedProviders = null,
+                     metadata = {},
+                     ttl = 24 * 60 * 60 * 1000
+                 } = {}) {
+        const providers = allowedProviders || Object.keys(this.parent.providers);
+        if (providers.length === 0) throw new Error("missing allowedProviders");
+        for (const name of providers) this.parent.getProvider(name);
+
+        // fails early on invalid items instead of when the buyer clicks
+        const cart = this.parent.buildCart({ items, currency });
+
+        const session = {
+            id: crypto.randomUUID(),
+            title,
+            items,
+            currency: cart.currency,
+            total: cart.total,
+            providers,
+            metadata,
+            status: 'open',
+            payments: [],
+            payment: null,
+            createdAt: Date.now(),
+            expiresAt: Date.now() + ttl
+        };
+
+        await this.parent.store.set(`checkout:${session.id}`, session, ttl);
+        return this.result(session);
+    }
+
+    async get(sessionId) {
+        const session = await this.parent.store.get(`checkout:${sessionId}`);
+        if (!session || session.expiresAt <= Date.now()) return null;
+        return session;
+    }
+
+    async save(session) {
+        await this.parent.store.set(`checkout:${session.id}`, session, session.expiresAt - Date.now());
+    }
+
+    result(session) {
+        return {
+            id: session.id,
+            url: this.parent.getUrl(`/checkout/${session.id}`),
+            status: session.status,
+            title: session.title,
+            amount: Money.toNumber(session.total, session.currency),
+            currency: session.currency,
+            providers: session.providers,
+            metadata: session.metadata,
+            payment: session.payment,
+            payments: session.payments,
+            createdAt: session.createdAt,
+            expiresAt: session.expiresAt
+        };
+    }
+
+    // what the page gets to see, metadata stays on the server
+    view(session) {
+        return {
+            id: session.id,
+            status: session.status,
+            title: session.title,
+            items: session.items.map(item => ({
+                title: item.title,
+                description: item.description || null,
+                quantity: item.quantity ?? 1,
+                price: item.price
+            })),
+            amount: Money.toNumber(session.total, session.currency),
+            currency: session.currency,
+            providers: session.providers,
+            expiresAt: session.expiresAt
+        };
+    }
+
+    // creates the payment with the chosen provider, resolves with the url to send the buyer to
+    async pay(sessionId, providerName) {
+        const session = await this.get(sessionId);
+        if (!session) throw new Error("checkout session not found");
+        if (session.status !== 'open') throw new Error("checkout session is already paid");
+        if (!session.providers.includes(providerName)) throw new Error(`provider ${providerName} is not allowed`);
+
+        const payment = await this.parent.createPayment({
+            provider: providerName,
+            title: session.title || undefined,
+            items: session.items,
+            currency: session.currency,
+            metadata: { ...session.metadata, checkoutSessionId: session.id },
+            // a cancelled payment brings the buyer back here to pick another provider
+            cancelUrl: this.parent.getUrl(`/checkout/${session.id}`)
+        });
+
+        session.payments.push({ provider: providerName, paymentId: payment.paymentId, createdAt: Date.now() });
+        await this.save(session);
+
+        return payment;
+    }
+
+    // called for every completed payment, closes the session it was started from
+    async complete(data) {
+        const sessionId = data?.metadata?.checkoutSessionId;
+        if (!sessionId) return;
+
+        const session = await this.get(sessionId);
+        if (!session || session.status === 'completed') return;
+
+        session.status = 'completed';
+        session.payment = {
+            provider: data.provider,
+            paymentId: data.orderId || data.chargeCode || data.sessionId || null,
+            transactionId: data.transactionId || data.chargeId || null,
+            completedAt: Date.now()
+        };
+        await this.save(session);
+
+        await this.parent.cancelOpenPayments(session.payments, session.payment);
+    }
+
+    // paths are relative to basePath, same as provider routes
+    routes() {
+        return [
+            {
+                method: 'get',
+                path: '/checkout/:sessionId',
+                handler: async (req, res) => {
+                    try {
+                        const session = await this.get(req.params.sessionId);
+                        const html = await this.parent.renderPage(req, path.join(this.parent.webPath, "checkout.html"), {
+                            checkout: session ? this.view(session) : null,
+                            error: req.query?.error || null
+                        });
+
+                        res.set('Vary', 'Accept-Language');
+                        res.status(session ? 200 : 404).type('text/html; charset=utf-8').send(html);
+                    } catch (error) {
+                        res.status(500).json({ ok: false, error: 'checkout_error' });
+                    }
+                }
+            },
+            {
+                method: 'post',
+                path: '/checkout/:sessionId',
+                handler: async (req, res) => {
+                    const page = `${this.parent.basePath}/checkout/${encodeURIComponent(req.params.sessionId)}`;
+
+                    try {
+                        const body = await this.parent.getFormBody(req);
+                        const payment = await this.pay(req.params.sessionId, body?.provider);
+                        return res.redirect(303, payment.checkoutUrl);
+                    } catch (error) {
+                        this.parent.emit('onError', {
+                            type: 'checkout',
+                            sessionId: req.params.sessionId,
+                            error: error.response || error.message
+                        });
+
+                        return res.redirect(303, `${page}?error=payment_failed`);
+                    }
+                }
+            }
+        ];
+    }
+}
+
+// reusable or expiring payment requests, see "Payment Links" in the README. every visit
+// starts a fresh payment, uses are counted once a payment completes and payments that
+// are still open when the link closes are cancelled or refused
+class PaymentLinks {
+    constructor(parent) {
+        this.parent = parent;
+    }
+
+    async create({
+                     title,
+                     amount,
+                     currency = 'EUR',
+                     description = null,
+                     expiresAt = null,
+                     maxUses = null,
+                     providers = null,
+                     metadata = {},
+                     invoice = null
+                 } = {}) {
+        if (!title) throw new Error("missing title");
+        currency = Money.currency(currency);
+
+        const minor = Money.toMinor(amount, currency, { name: 'amount' });
+        if (maxUses !== null && (!Number.isInteger(maxUses) || maxUses < 1)) throw new Error("invalid maxUses");
+
+        const expires = expiresAt ? new Date(expiresAt).getTime() : null;
+        if (expires !== null && !(expires > Date.now())) throw new Error("invalid expiresAt");
+
+        providers = providers || Object.keys(this.parent.providers);
+        if (providers.length === 0) throw new Error("missing providers");
+        for (const name of providers) this.parent.getProvider(name);
+
+        const link = {
+            id: crypto.randomUUID(),
+            title,
+            description,
+            amount: minor,
+            currency,
+            providers,
+            maxUses,
+            uses: 0,
+            visits: 0,
+            active: true,
+            metadata,
+            invoice: invoice ? {
+                number: invoice.number || `INV-${Date.now()}`,
+                issuedAt: invoice.issuedAt ? new Date(invoice.issuedAt).getTime() : Date.now(),
+                dueAt: invoice.dueAt ? new Date(invoice.dueAt).getTime() : expires,
+                seller: invoice.seller || null,
+                customer: invoice.customer || null,
+                notes: invoice.notes || null
+            } : null,
+            payments: [],
+            completed: [],
+            createdAt: Date.now(),
+            expiresAt: expires
+        };
+
+        await this.save(link);
+        return this.result(link);
+    }
+
+    async get(linkId) {
+        return this.parent.store.get(`link:${linkId}`);
+    }
+
+    // expired links are kept for processedTtl so their invoice stays viewable
+    async save(link) {
+        const ttl = link.expiresAt ? link.expiresAt - Date.now() + this.parent.processedTtl : null;
+        await this.parent.store.set(`link:${link.id}`, link, ttl);
+    }
+
+    status(link) {
+        if (!link.active) return 'disabled';
+        if (link.expiresAt && link.expiresAt <= Date.now()) return 'expired';
+        if (link.maxUses && link.uses >= link.maxUses) return 'used';
+        return 'active';
+    }
+
+    result(link) {
+        return {
+            id: link.id,
+            url: this.parent.getUrl(`/pay/${link.id}`),
+            invoiceUrl: link.invoice ? this.parent.getUrl(`/pay/${link.id}/invoice`) : null,
+            status: this.status(link),
+            title: link.title,
+            description: link.description,
+            amount: Money.toNumber(link.amount, link.currency),
+            currency: link.currency,
+            providers: link.providers,
+            maxUses: link.maxUses,
+            uses: link.uses,
+            visits: link.visits,
+            metadata: link.metadata,
+            invoice: link.invoice,
+            payments: link.payments,
+            completed: link.completed,
+            createdAt: link.createdAt,
+            expiresAt: link.expiresAt
+        };
+    }
+
+    async disable(linkId) {
+        const link = await this.get(linkId);
+        if (!link) throw new Error("payment link not found");
+
+        link.active = false;
+        await this.save(link);
+
+        await this.parent.cancelOpenPayments(link.payments);
+        return this.result(link);
+    }
+
+    // the checkout page shows a link like a single item session
+    view(link) {
+        const status = this.status(link);
+
+        return {
+            id: link.id,
+            status: status === 'used' ? 'completed' : 'open',
+            title: link.title,
+            items: [{ title: link.title, description: link.description, quantity: 1, price: Money.toNumber(link.amount, link.currency) }],
+            amount: Money.toNumber(link.amount, link.currency),
+            currency: link.currency,
+            providers: link.providers,
+            expiresAt: link.expiresAt
+        };
+    }
+
+    invoiceView(link) {
+        return {
+            ...link.invoice,
+            id: link.id,
+            status: this.status(link),
+            paid: link.completed.length > 0,
+            paidAt: link.completed[0]?.completedAt || null,
+            title: link.title,
+            description: link.description,
+            amount: Money.toNumber(link.amount, link.currency),
+            currency: link.currency,
+            payUrl: `${this.parent.basePath}/pay/${link.id}`
+        };
+    }
+
+    // starts a fresh payment with the chosen provider
+    async pay(linkId, providerName) {
+        const link = await this.get(linkId);
+        if (!link) throw new Error("payment link not found");
+
+        const status = this.status(link);
+        if (status !== 'active') throw new Error(`payment link is ${status}`);
+        if (!link.providers.includes(providerName)) throw new Error(`provider ${providerName} is not allowed`);
+
+        const payment = await this.parent.createPayment({
+            provider: providerName,
+            title: link.title,
+            description: link.description || undefined,
+            price: Money.toNumber(link.amount, link.currency),
+            currency: link.currency,
+            metadata: { ...link.metadata, paymentLinkId: link.id },
+            // with a choice of providers a cancelled payment brings the buyer back to pick another one
+            ...(link.providers.length > 1 ? { cancelUrl: this.parent.getUrl(`/pay/${link.id}`) } : {})
+        });
+
+        link.payments.push({ provider: providerName, paymentId: payment.paymentId, createdAt: Date.now() });
+        await this.save(link);
+
+        return payment;
+    }
+
+    // called for every completed payment started from a link
+    async complete(data) {
+        const link = await this.get(data?.metadata?.paymentLinkId);
+        if (!link) return;
+
+        const paymentId = data.orderId || data.chargeCode || data.sessionId || null;
+        if (link.completed.some(entry => entry.provider === data.provider && entry.paymentId === paymentId)) return;
+
+        link.uses++;
+        link.completed.push({
+            provider: data.provider,
+            paymentId,
+            transactionId: data.transactionId || data.chargeId || null,
+            completedAt: Date.now()
+        });
+        await this.save(link);
+
+        if (this.status(link) === 'used') await this.parent.cancelOpenPayments(link.payments, { provider: data.provider, paymentId });
+    }
+
+    async renderLink(req, res, link) {
+        const html = await this.parent.renderPage(req, path.join(this.parent.webPath, "checkout.html"), {
+            checkout: link && ['active', 'used'].includes(this.status(link)) ? this.view(link) : null,
+            error: req.query?.error || null
+        });
+
+        res.set('Vary', 'Accept-Language');
+        res.status(link ? 200 : 404).type('text/html; charset=utf-8').send(html);
+    }
+
+    // paths are relative to basePath, same as provider routes
+    routes() {
+        return [
+            {
+                method: 'get',
+                path: '/pay/:linkId',
+                handler: async (req, res) => {
+                    try {
+                        const link = await this.get(req.params.linkId);
+                        if (!link || this.status(link) !== 'active') return await this.renderLink(req, res, link);
+
+                        link.visits++;
+                        await this.save(link);
+
+                        // a single provider needs no choice, the visit goes straight to it
+                        if (link.providers.length === 1 && !req.query?.error) {
+                            const payment = await this.pay(link.id, link.providers[0]);
+                            return res.redirect(payment.checkoutUrl);
+                        }
+
+                        return await this.renderLink(req, res, link);
+                    } catch (error) {
+                        this.parent.emit('onError', {
+                            type: 'payment_link',
+                            linkId: req.params.linkId,
+                            error: error.response || error.message
+                        });
+
+                        res.status(500).json({ ok: false, error: 'payment_link_error' });
+                    }
+                }
+            },
+            {
+                method: 'post',
+                path: '/pay/:linkId',
+                handler: async (req, res) => {
+                    try {
+                        const body = await this.parent.getFormBody(req);
+                        const payment = await this.pay(req.params.linkId, body?.provider);
+                        return res.redirect(303, payment.checkoutUrl);
+                    } catch (error) {
+                        this.parent.emit('onError', {
+                            type: 'payment_link',
+                            linkId: req.params.linkId,
+                            error: error.response || error.message
+                        });
+
+                        return res.redirect(303, `${this.parent.basePath}/pay/${encodeURIComponent(req.params.linkId)}?error=payment_failed`);
+                    }
+                }
+            },
+            {
+                method: 'get',
+                path: '/pay/:linkId/invoice',
+                handler: async (req, res) => {
+                    try {
+                        const link = await this.get(req.params.linkId);
+                        const invoice = link?.invoice ? this.invoiceView(link) : null;
+                        const html = await this.parent.renderPage(req, path.join(this.parent.webPath, "invoice.html"), { invoice });
+
+                        res.set('Vary', 'Accept-Language');
+                        res.status(invoice ? 200 : 404).type('text/html; charset=utf-8').send(html);
+                    } catch (error) {
+                        res.status(500).json({ ok: false, error: 'invoice_error' });
+                    }
+                }
+            }
+        ];
+    }
+}
+
+// base class for payment gateways. providers override the hooks they support and
+// declare their routes, see "Custom Providers" in the README.
+export class PaymentProvider {
+    constructor(parent, config = {}, name) {
+        if (!parent) throw new Error("missing dSyncPay instance");
+
+        this.parent = parent;
+        this.config = config;
+        this.name = name;
+    }
+
+    unsupported(method) {
+        throw new Error(`${this.name} does not support ${method}`);
+    }
+
+    // dSyncPay.request with errors tagged with this provider. providers that accept
+    // idempotency keys set idempotencyHeader so POSTs can be retried safely
+    async request(url, options = {}) {
+        return this.parent.request(url, {
+            provider: this.name,
+            idempotencyHeader: this.idempotencyHeader || null,
+            ...options
+        });
+    }
+
+    async createPayment(params) {
+        this.unsupported('createPayment');
+    }
+
+    async verifyPayment(paymentId) {
+        this.unsupported('verifyPayment');
+    }
+
+    async getPayment(paymentId) {
+        this.unsupported('getPayment');
+    }
+
+    async cancelPayment(paymentId) {
+        this.unsupported('cancelPayment');
+    }
+
+    async refundPayment({ paymentId, amount, currency, reason }) {
+        this.unsupported('refundPayment');
+    }
+
+    // state shown on the status page, providers with separate subscription lookups override it
+    async getStatus(paymentId, { type = 'payment' } = {}) {
+        const payment = await this.getPayment(paymentId);
+
+        return {
+            type: payment.result?.type === 'subscription' ? 'subscription' : type,
+            status: payment.status,
+            providerStatus: payment.providerStatus,
+            amount: payment.amount ?? null,
+            currency: payment.currency ?? null
+        };
+    }
+
+    // called with the query of every request to the shared {basePath}/cancel route
+    async handleCancel(query) {}
+
+    // providers returning true get a POST {basePath}/webhook/{name} route
+    hasWebhook() {
+        return false;
+    }
+
+    // verifies and handles a webhook request, resolves false if the signature is invalid
+    async handleWebhook(req) {
+        this.unsupported('handleWebhook');
+    }
+
+    // routes as { method, path, handler } with paths relative to basePath
+    routes() {
+        if (!this.hasWebhook()) return [];
+
+        return [{
+            method: 'post',
+            path: `/webhook/${this.name}`,
+            handler: async (req, res) => {
+                try {
+                    const isValid = await this.handleWebhook(req);
+                    if (isValid === false) return res.status(401).json({ ok: false, error: 'invalid_signature' });
+
+                    res.status(200).json({ ok: true });
+                } catch (error) {
+                    this.parent.emit('onError', {
+                        type: 'webhook',
+                        provider: this.name,
+                        error: error.response || error.message
+                    });
+
+                    res.status(500).json({ ok: false, error: error.code === 'raw_body_unavailable' ? error.code : 'webhook_error' });
+                }
+            }
+        }];
+    }
+
+    normalizeStatus(status) {
+        return PaymentStatus.FAILED;
+    }
+}
+
+// statusPage.colors and the css variables they set
+const STATUS_PAGE_COLORS = {
+    background: '--bg',
+    surface: '--surface',
+    border: '--border-bright',
+    text: '--text',
+    accent: '--accent',
+    error: '--error',
+    warning: '--warn'
+};
+
+// paypal subscription statuses and the callback each of them fires
+const SUBSCRIPTION_STATUS_EVENTS = {
+    ACTIVE: 'onSubscriptionActivated',
+    SUSPENDED: 'onSubscriptionSuspended',
+    CANCELLED: 'onSubscriptionCancelled'
+};
+
+// iso 4217 gives these two decimals, paypal only takes whole amounts for them
+const PAYPAL_WHOLE_CURRENCIES = new Set(['HUF', 'TWD']);
+
+// query params covered by the redirect signature
+const REDIRECT_PARAMS = ['payment_id', 'provider', 'type', 'amount', 'currency', 'expires'];
+
+export default class dSyncPay {
+    constructor({
+                    app = null,
+                    domain = null,
+                    basePath = '/payments',
+                    redirects = {},
+                    paypal = null,
+                    coinbase = null,
+                    stripe = null,
+                    store = null,
+                    metadataTtl = 24 * 60 * 60 * 1000,
+                    processedTtl = 30 * 24 * 60 * 60 * 1000,
+                    requestTimeout = 15 * 1000,
+                    maxRetries = 2,
+                    retryBaseDelay = 500,
+                    secret = null,
+                    redirectTtl = 15 * 60 * 1000,
+                    statusPage = {},
+                    mock = false,
+                    ledger = false,
+                    reconcile = false,
+                    onPaymentCreated = null,
+                    onPaymentCompleted = null,
+                    onPaymentFailed = null,
+                    onPaymentCancelled = null,
+                    onPaymentRefunded = null,
+                    onSubscriptionCreated = null,
+                    onSubscriptionActivated = null,
+                    onSubscriptionCancelled = null,
+                    onSubscriptionSuspended = null,
+                    onSubscriptionUpdated = null,
+                    onSubscriptionPaymentFailed = null,
+                    onError = null
+                } = {}) {
+        if (!domain) throw new Error("missing domain");
+
+        this.app = app;
+        this.domain = domain.endsWith('/') ? domain.slice(0, -1) : domain;
+        this.basePath = basePath;
+        // under basePath, so instances side by side never answer each other's redirects
+        this.redirects = {
+            success: `${basePath}/payment-success`,
+            error: `${basePath}/payment-error`,
+            cancelled: `${basePath}/payment-cancelled`,
+            subscriptionSuccess: `${basePath}/subscription-success`,
+            subscriptionError: `${basePath}/subscription-error`,
+            ...redirects
+        };
+        this.store = store || new MemoryStore();
+        this.metadataTtl = metadataTtl;
+        this.processedTtl = processedTtl;
+        this.requestTimeout = requestTimeout;
+        this.maxRetries = maxRetries;
+        this.retryBaseDelay = retryBaseDelay;
+        // signs the redirect query strings, a random secret only works for a single process
+        this.secret = secret || crypto.randomBytes(32);
+        this.redirectTtl = redirectTtl;
+        this.routes = [];
+        this.claimedEvents = new Set();
+
+        for (const method of ['get', 'set', 'delete']) {
+            if (typeof this.store[method] !== 'function') throw new Error(`store is missing ${method}()`);
+        }
+
+        this.ledger = ledger ? new Ledger(this, ledger.store || this.store) : null;
+        this.reconciler = reconcile ? new Reconciler(this, reconcile === true ? {} : reconcile) : null;
+
+        this.callbacks = {
+            onPaymentCreated,
+            onPaymentCompleted,
+            onPaymentFailed,
+            onPaymentCancelled,
+            onPaymentRefunded,
+            onSubscriptionCreated,
+            onSubscriptionActivated,
+            onSubscriptionCancelled,
+            onSubscriptionSuspended,
+            onSubscriptionUpdated,
+            onSubscriptionPaymentFailed,
+            onError
+        };
+
+        // api calls go to the in-process emulator instead of paypal and coinbase
+        this.mock = mock === true ? new MockServer() : (mock || null);
+        if (this.mock) this.mock.attach(this);
+
+        this.webPath = path.join(__dirname, "web");
+        if(!fs.existsSync(this.webPath)) throw new Error("missing web path");
+
+        this.statusPage = this.statusPageConfig(statusPage);
+        this.checkout = new Checkout(this);
+        this.paymentLinks = new PaymentLinks(this);
+
+        // status page from web/ or the custom template, rendered per request for the visitor's language
+        this.route('get', `${this.basePath}/payment-status.html`, async (req, res) => {
+            try {
+                const html = await this.renderPage(req);
+                res.set('Vary', 'Accept-Language');
+                res.type('text/html; charset=utf-8').send(html);
+            } catch (error) {
+                res.status(500).json({ ok: false, error: 'status_page_error' });
+            }
+        });
+
+        this.providers = {};
+        this.registerRoutes(basePath);
+
+        if (paypal) this.registerProvider('paypal', PayPal, paypal);
+        if (coinbase) this.registerProvider('coinbase', Coinbase, coinbase);
+        if (stripe) this.registerProvider('stripe', Stripe, stripe);
+
+        for (const route of [...this.checkout.routes(), ...this.paymentLinks.routes()]) {
+            this.route(route.method, `${this.basePath}${route.path}`, route.handler);
+        }
+
+        this.registerRedirectRoutes();
+        this.reconciler?.start();
+    }
+
+    // checks the statusPage option and merges custom strings over the bundled locales
+    statusPageConfig({
+                         brand = null,
+                         logo = null,
+                         colors = {},
+                         returnUrl = null,
+                         locale = 'en',
+                         locales = {},
+                         template = null
+                     } = {}) {
+        for (const [name, value] of Object.entries(colors)) {
+            if (!STATUS_PAGE_COLORS[name]) throw new Error(`unknown statusPage color: ${name}`);
+            if (!/^[#\w(),.%\s-]+$/.test(String(value))) throw new Error(`invalid statusPage color: ${name}`);
+        }
+
+        if (template && !fs.existsSync(template)) throw new Error(`missing statusPage template: ${template}`);
+
+        const bundled = JSON.parse(fs.readFileSync(path.join(this.webPath, "locales.json"), "utf8"));
+        const merged = {};
+
+        // languages missing a string fall back to english
+        for (const [lang, strings] of [...Object.entries(bundled), ...Object.entries(locales)]) {
+            const key = lang.toLowerCase();
+            if (!/^[a-z]{2,3}(-[a-z0-9]+)*$/.test(key)) throw new Error(`invalid statusPage locale: ${lang}`);
+            merged[key] = { ...bundled.en, ...merged[key], ...strings };
+        }
+
+        if (!Object.hasOwn(merged, locale.toLowerCase())) throw new Error(`missing statusPage locale: ${locale}`);
+
+        return {
+            brand,
+            logo,
+            colors,
+            returnUrl,
+            locale: locale.toLowerCase(),
+            locales: merged,
+            template: template || path.join(this.webPath, "payment-status.html")
+        };
+    }
+
+    // ?lang= wins, then the best accept-language match, then statusPage.locale
+    statusPageLocale(req) {
+        const locales = this.statusPage.locales;
+        const wanted = [];
+
+        if (req.query?.lang) wanted.push({ tag: String(req.query.lang), q: 2 });
+
+        for (const part of String(req.headers?.['accept-language'] || '').split(',')) {
+            const [tag, ...params] = part.trim().split(';');
+            const q = params.map(param => param.trim()).find(param => param.startsWith('q='));
+            wanted.push({ tag: tag.trim().toLowerCase(), q: q ? Number(q.slice(2)) : 1 });
+        }
+
+        wanted.sort((a, b) => b.q - a.q);
+
+        // own keys only, ?lang=constructor must not match what every object inherits
+        for (const { tag, q } of wanted) {
+            if (!tag || !(q > 0)) continue;
+            if (Object.hasOwn(locales, tag.toLowerCase())) return tag.toLowerCase();
+
+            const primary = tag.toLowerCase().split('-')[0];
+            if (Object.hasOwn(locales, primary)) return primary;
+        }
+
+        return this.statusPage.locale;
+    }
+
+    // fills the {{lang}}, {{styles}} and {{config}} placeholders of a page template,
+    // data is added to the config next to the branding and strings
+    async renderPage(req, template = this.statusPage.template, data = {}) {
+        const lang = this.statusPageLocale(req);
+        const { brand, logo, colors, returnUrl, locales } = this.statusPage;
+
+        const styles = Object.entries(colors)
+            .map(([name, value]) => `${STATUS_PAGE_COLORS[name]}: ${value};`)
+            .join(' ');
+        const config = JSON.stringify({ lang, brand, logo, returnUrl, strings: locales[lang], ...data })
+            .replace(/</g, '\\u003c');
+
+        const html = await fs.promises.readFile(template, "utf8");
+
+        return html
+            .replaceAll('{{lang}}', lang)
+            .replaceAll('{{styles}}', () => styles ? `:root { ${styles} }` : '')
+            .replaceAll('{{config}}', () => config);
+    }
+
+    registerProvider(name, ProviderClass, config = {}) {
+        if (!name) throw new Error("missing provider name");
+        if (!(ProviderClass?.prototype instanceof PaymentProvider)) throw new Error("provider class must extend PaymentProvider");
+        if (this.providers[name]) throw new Error(`provider ${name} is already registered`);
+
+        const provider = new ProviderClass(this, config, name);
+        this.providers[name] = provider;
+
+        // keeps payments.paypal style access working for every provider
+        if (!(name in this)) this[name] = provider;
+
+        for (const route of provider.routes()) {
+            this.route(route.method, `${this.basePath}${route.path}`, route.handler);
+        }
+
+        return provider;
+    }
+
+    // every route goes through here, so the mock server can dispatch to the same handlers
+    route(method, path, handler) {
+        // redirects to absolute urls point to another site, nothing to serve here
+        if (!path.startsWith('/')) return;
+
+        this.routes.push({ method, path, handler });
+        if (this.app) this.app[method](path, handler);
+    }
+
+    matchRoute(method, pathname) {
+        for (const route of this.routes) {
+            if (route.method !== method) continue;
+
+            const names = [];
+            const pattern = route.path
+                .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+                .replace(/:(\w+)/g, (match, name) => {
+                    names.push(name);
+                    return '([^/]+)';
+                });
+
+            const match = pathname.match(new RegExp(`^${pattern}$`));
+            if (!match) continue;
+
+            const params = Object.fromEntries(names.map((name, i) => [name, decodeURIComponent(match[i + 1])]));
+            return { handler: route.handler, params };
+        }
+
+        return null;
+    }
+
+    // a (req, res, next) handler serving every route, for express, connect or node's http.
+    // it parses bodies itself, so it can be mounted before or without any body parser
+    router() {
+        return async (req, res, next) => {
+            const { pathname, searchParams } = new URL(req.originalUrl || req.url, 'http://localhost');
+            const route = this.matchRoute(req.method.toLowerCase(), pathname);
+
+            if (!route) {
+                if (next) return next();
+                res.statusCode = 404;
+                return res.end();
+            }
+
+            try {
+                req.params = route.params;
+                if (!req.query) req.query = Object.fromEntries(searchParams);
+
+                if (req.method !== 'GET' && req.method !== 'HEAD' && req.body === undefined) {
+                    const raw = await this.getRawBody(req);
+                    const type = String(req.headers['content-type'] || '');
+
+                    req.body = {};
+
+                    if (type.includes('json') && raw.length) {
+                        try {
+                            req.body = JSON.parse(raw.toString('utf8'));
+                        } catch (error) {
+                            return this.wrapResponse(res).status(400).json({ ok: false, error: 'invalid_json' });
+                        }
+                    } else if (type.includes('x-www-form-urlencoded')) {
+                        req.body = Object.fromEntries(new URLSearchParams(raw.toString('utf8')));
+                    }
+                }
+
+                await route.handler(req, this.wrapResponse(res));
+            } catch (error) {
+                if (next) return next(error);
+                res.statusCode = error.status || 500;
+                res.end();
+            }
+        };
+    }
+
+    // express responses already have these helpers, plain node responses get them here
+    wrapResponse(res) {
+        if (typeof res.json === 'function' && typeof res.redirect === 'function' && typeof res.sendFile === 'function') return res;
+
+        const wrapped = {
+            status(code) {
+                res.statusCode = code;
+                return wrapped;
+            },
+            set(name, value) {
+                res.setHeader(name, value);
+                return wrapped;
+            },
+            setHeader(name, value) {
+                res.setHeader(name, value);
+            },
+            type(value) {
+                res.setHeader('Content-Type', value);
+                return wrapped;
+            },
+            json(data) {
+                res.setHeader('Content-Type', 'application/json; charset=utf-8');
+                res.end(JSON.stringify(data));
+            },
+            send(data) {
+                if (!res.getHeader('Content-Type')) res.setHeader('Content-Type', 'text/html; charset=utf-8');
+                res.end(data);
+            },
+            redirect(codeOrUrl, maybeUrl) {
+                res.statusCode = maybeUrl ? codeOrUrl : 302;
+                res.setHeader('Location', maybeUrl || codeOrUrl);
+                res.end();
+            },
+            sendFile(file) {
+                res.setHeader('Content-Type', file.endsWith('.html') ? 'text/html; charset=utf-8' : 'application/octet-stream');
+                fs.createReadStream(file).on('error', () => {
+                    res.statusCode = 404;
+                    res.end();
+                }).pipe(res);
+            },
+            end(data) {
+                res.end(data);
+            }
+        };
+
+        return wrapped;
+    }
+
+    getUrl(path) {
+        return `${this.domain}${this.basePath}${path}`;
+    }
+
+    // callback errors are only logged, unless rethrow is set like for emitOnce. the ledger,
+    // the reconciler and checkouts only learn about an event once its callback went through,
+    // so a payment whose fulfillment failed stays open and gets retried
+    async emit(event, data, { rethrow = false } = {}) {
+        const callback = this.callbacks[event];
+        if (callback) {
+            try {
+                await callback(data);
+            } catch (err) {
+                if (rethrow) throw err;
+                console.error("callback error:", err);
+            }
+        }
+
+        if (this.ledger) await this.ledger.record(event, data);
+        if (this.reconciler) {
+            try {
+                await this.reconciler.track(event, data);
+            } catch (err) {
+                console.error("reconcile tracking error:", err);
+            }
+        }
+        if (event === 'onPaymentCompleted' && (data?.metadata?.checkoutSessionId || data?.metadata?.paymentLinkId)) {
+            try {
+                if (data.metadata.checkoutSessionId) await this.checkout.complete(data);
+                if (data.metadata.paymentLinkId) await this.paymentLinks.complete(data);
+            } catch (err) {
+                console.error("checkout error:", err);
+            }
+        }
+    }
+
+    getProvider(name) {
+        if (!name) throw new Error("missing provider");
+
+        const provider = this.providers[name];
+        if (!provider) throw new Error(`provider ${name} is not configured`);
+
+        return provider;
+    }
+
+    async createPayment({ provider, ...params } = {}) {
+        return this.getProvider(provider).createPayment(params);
+    }
+
+    async verifyPayment({ provider, paymentId } = {}) {
+        if (!paymentId) throw new Error("missing paymentId");
+        return this.getProvider(provider).verifyPayment(paymentId);
+    }
+
+    async getPayment({ provider, paymentId } = {}) {
+        if (!paymentId) throw new Error("missing paymentId");
+        return this.getProvider(provider).getPayment(paymentId);
+    }
+
+    async cancelPayment({ provider, paymentId } = {}) {
+        if (!paymentId) throw new Error("missing paymentId");
+        return this.getProvider(provider).cancelPayment(paymentId);
+    }
+
+    async refundPayment({ provider, ...params } = {}) {
+        if (!params.paymentId) throw new Error("missing paymentId");
+        return this.getProvider(provider).refundPayment(params);
+    }
+
+    // a link to a hosted page where the buyer picks one of the providers
+    async createCheckoutSession(params = {}) {
+        return this.checkout.create(params);
+    }
+
+    async getCheckoutSession(sessionId) {
+        if (!sessionId) throw new Error("missing sessionId");
+
+        const session = await this.checkout.get(sessionId);
+        return session ? this.checkout.result(session) : null;
+    }
+
+    // a shareable link that starts a fresh payment on every visit
+    async createPaymentLink(params = {}) {
+        return this.paymentLinks.create(params);
+    }
+
+    async getPaymentLink(linkId) {
+        if (!linkId) throw new Error("missing linkId");
+
+        const link = await this.paymentLinks.get(linkId);
+        return link ? this.paymentLinks.result(link) : null;
+    }
+
+    // why a payment started from a checkout session or payment link can't be taken anymore, null if it still can
+    async closedReason(metadata) {
+        if (metadata?.checkoutSessionId) {
+            const session = await this.checkout.get(metadata.checkoutSessionId);
+            if (!session) return 'checkout_expired';
+            if (session.status !== 'open') return 'checkout_completed';
+        }
+
+        if (metadata?.paymentLinkId) {
+            const link = await this.paymentLinks.get(metadata.paymentLinkId);
+            if (!link) return 'link_expired';
+
+            const status = this.paymentLinks.status(link);
+            if (status !== 'active') return `link_${status}`;
+        }
+
+        return null;
+    }
+
+    // once one payment went through, the others the buyer started for the same thing are
+    // cancelled where the provider can. paypal orders are refused when they are captured instead
+    async cancelOpenPayments(payments, paid = {}) {
+        for (const { provider: name, paymentId } of payments) {
+            if (name === paid.provider && paymentId === paid.paymentId) continue;
+
+            const provider = this.providers[name];
+            if (!provider || provider.cancelPayment === PaymentProvider.prototype.cancelPayment) continue;
+
+            try {
+                const payment = await provider.getPayment(paymentId);
+                if (payment.status === PaymentStatus.CREATED) await provider.cancelPayment(paymentId);
+            } catch (error) {
+                this.emit('onError', {
+                    type: 'payment_cancellation',
+                    provider: name,
+                    paymentId,
+                    error: error.response || error.message
+                });
+            }
+        }
+    }
+
+    async disablePaymentLink(linkId) {
+        if (!linkId) throw new Error("missing linkId");
+        return this.paymentLinks.disable(linkId);
+    }
+
+    // checks every tracked open payment once, resolves with what happened to them
+    async reconcile() {
+        if (!this.reconciler) throw new Error("reconciler is not enabled");
+        return this.reconciler.run();
+    }
+
+    // clears the reconcile interval, e.g. before shutting down
+    stopReconciler() {
+        this.reconciler?.stop();
+    }
+
+    // ledger records matching the filter, newest first
+    async listTransactions(filter = {}) {
+        if (!this.ledger) throw new Error("ledger is not enabled");
+        return this.ledger.list(filter);
+    }
+
+    // a ledger record by its own id or any payment id the provider used for it
+    async getTransaction(id) {
+        if (!this.ledger) throw new Error("ledger is not enabled");
+        if (!id) throw new Error("missing id");
+        return this.ledger.get(id);
+    }
+
+    // marks a payment event as handled, returns false if it was handled before
+    async claimEvent(event, provider, id) {
+        const key = `processed:${provider}:${id}:${event}`;
+
+        // guards against the verify route and a webhook racing each other in this process
+        if (this.claimedEvents.has(key)) return false;
+        this.claimedEvents.add(key);
+
+        try {
+            if (await this.store.get(key)) return false;
+            await this.store.set(key, { processedAt: Date.now() }, this.processedTtl);
+            return true;
+        } finally {
+            this.claimedEvents.delete(key);
+        }
+    }
+
+    async releaseEvent(event, provider, id) {
+        await this.store.delete(`processed:${provider}:${id}:${event}`);
+    }
+
+    // a callback that throws releases the event again and passes the error on, so the
+    // webhook answers 500 and the provider retries instead of the event getting lost
+    async emitOnce(event, id, data) {
+        const claimed = await this.claimEvent(event, data.provider, id);
+        data.alreadyProcessed = !claimed;
+        if (!claimed) return false;
+
+        try {
+            await this.emit(event, data, { rethrow: true });
+        } catch (error) {
+            await this.releaseEvent(event, data.provider, id);
+            throw new CallbackError(error, event, data);
+        }
+
+        return true;
+    }
+
+    // the buyer's browser gets the verified payment even if a callback threw on it,
+    // the callback runs again with the next webhook or reconcile run
+    async verifiedResult(verification) {
+        try {
+            return await verification;
+        } catch (error) {
+            if (error instanceof CallbackError) return error.result;
+            throw error;
+        }
+    }
+
+    async setExpectedAmount(provider, id, amount, currency) {
+        await this.store.set(`expected:${provider}:${id}`, { amount, currency }, this.processedTtl);
+    }
+
+    // compares a completed payment with the amount requested when it was created.
+    // on a mismatch the result is flagged and the payment can never complete later on.
+    async checkAmount(result, id) {
+        const expected = await this.store.get(`expected:${result.provider}:${id}`);
+        if (!expected) return true;
+
+        const currency = result.currency?.toUpperCase();
+        const received = currency === expected.currency
+            ? Money.toMinor(result.amount, currency, { allowZero: true })
+            : null;
+
+        if (received === expected.amount) return true;
+
+        result.status = 'AMOUNT_MISMATCH';
+        result.expectedAmount = Money.toNumber(expected.amount, expected.currency);
+        result.expectedCurrency = expected.currency;
+
+        await this.claimEvent('onPaymentCompleted', result.provider, id);
+
+        this.emit('onError', {
+            type: 'amount_mismatch',
+            provider: result.provider,
+            paymentId: id,
+            expected: { amount: result.expectedAmount, currency: expected.currency },
+            received: { amount: result.amount, currency: result.currency },
+            error: 'paid amount does not match the requested amount'
+        });
+
+        return false;
+    }
+
+    async getMetadata(id) {
+        return (await this.store.get(`metadata:${id}`)) || {};
+    }
+
+    async setMetadata(id, metadata) {
+        await this.store.set(`metadata:${id}`, metadata, this.metadataTtl);
+    }
+
+    async deleteMetadata(id) {
+        await this.store.delete(`metadata:${id}`);
+    }
+
+    // normalizes the single product and the items form into one cart. all amounts
+    // in the returned cart are integer minor units of the validated currency.
+    buildCart({
+                  title,
+                  description,
+                  price,
+                  quantity = 1,
+                  items = null,
+                  shipping = 0,
+                  handling = 0,
+                  taxTotal = null,
+                  discount = 0,
+                  currency = 'EUR',
+                  minorUnits = false
+              }) {
+        currency = Money.currency(currency);
+
+        const single = !items;
+        const field = (index, key) => single ? key : `items[${index}].${key}`;
+
+        if (!items) {
+            if (!title) throw new Error('missing title');
+            if (price === undefined || price === null) throw new Error('missing price');
+            items = [{ title, description, price, quantity }];
+        }
+
+        if (!Array.isArray(items) || items.length === 0) throw new Error('missing items');
+
+        const minor = (value, name, allowZero = true) => Money.toMinor(value ?? 0, currency, { minorUnits, allowZero, name });
+
+        const lines = items.map((item, index) => {
+            if (!item.title) throw new Error(`missing items[${index}].title`);
+
+            const itemQuantity = item.quantity ?? 1;
+            if (!Number.isInteger(itemQuantity) || itemQuantity < 1) throw new Error(`invalid ${field(index, 'quantity')}`);
+
+            return {
+                title: item.title,
+                description: item.description,
+                sku: item.sku,
+                price: Money.toMinor(item.price, currency, { minorUnits, name: field(index, 'price') }),
+                quantity: itemQuantity,
+                tax: minor(item.tax, field(index, 'tax'))
+            };
+        });
+
+        const itemTotal = lines.reduce((sum, line) => sum + line.price * line.quantity, 0);
+        const itemTax = lines.reduce((sum, line) => sum + line.tax * line.quantity, 0);
+
+        if (taxTotal != null && itemTax > 0 && minor(taxTotal, 'taxTotal') !== itemTax) {
+            throw new Error('taxTotal does not match the item taxes');
+        }
+
+        const cart = {
+            currency,
+            items: lines,
+            itemTotal,
+            taxTotal: taxTotal != null ? minor(taxTotal, 'taxTotal') : itemTax,
+            shipping: minor(shipping, 'shipping'),
+            handling: minor(handling, 'handling'),
+            discount: minor(discount, 'discount')
+        };
+
+        if (cart.discount > itemTotal) throw new Error('discount exceeds item total');
+
+        cart.total = itemTotal + cart.taxTotal + cart.shipping + cart.handling - cart.discount;
+        if (cart.total <= 0) throw new Error('invalid total: must be greater than zero');
+
+        return cart;
+    }
+
+    generateId(length = 17) {
+        let id = '';
+        for (let i = 0; i < length; i++) {
+            id += Math.floor(Math.random() * 10);
+        }
+        return id;
+    }
+
+    sha256(data) {
+        return crypto.createHash("sha256").update(data).digest("hex");
+    }
+
+    // the exact bytes that were sent, read from the request itself unless a body parser
+    // got there first. null if it did and left nothing behind but the parsed body
+    async readRawBody(req) {
+        if (req.rawBody) return Buffer.isBuffer(req.rawBody) ? req.rawBody : Buffer.from(req.rawBody);
+        if (Buffer.isBuffer(req.body)) return req.body;
+        if (typeof req.body === 'string') return Buffer.from(req.body);
+
+        // body-parser sets _body once it consumed the stream, and leaves it alone for other content types
+        if (req.readable && !req._body) {
+            const chunks = [];
+            let size = 0;
+
+            for await (const chunk of req) {
+                size += chunk.length;
+                if (size > 1024 * 1024) throw new Error("request body too large");
+                chunks.push(chunk);
+            }
+
+            req.rawBody = Buffer.concat(chunks);
+            return req.rawBody;
+        }
+
+        return null;
+    }
+
+    // webhook signatures are computed over the exact bytes that were sent. a parsed body
+    // serialized again can differ from them, so there is no falling back to it
+    async getRawBody(req) {
+        const raw = await this.readRawBody(req);
+        if (raw) return raw;
+
+        const error = new Error("raw request body is unavailable: a body parser read it before dSyncPay. mount payments.router() before express.json() or create dSyncPay with app before adding body parsers");
+        error.code = 'raw_body_unavailable';
+        throw error;
+    }
+
+    async getJsonBody(req) {
+        if (req.body && typeof req.body === 'object' && !Buffer.isBuffer(req.body)) return req.body;
+
+        try {
+            return JSON.parse((await this.readRawBody(req)).toString('utf8'));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // html forms post urlencoded, api clients usually json
+    async getFormBody(req) {
+        if (req.body && typeof req.body === 'object' && !Buffer.isBuffer(req.body) && Object.keys(req.body).length) return req.body;
+
+        const raw = (await this.readRawBody(req))?.toString('utf8').trim() || '';
+        if (raw.startsWith('{')) return this.getJsonBody(req);
+        return Object.fromEntries(new URLSearchParams(raw));
+    }
+
+    async request(url, options = {}) {
+        const {
+            method = 'GET',
+            headers = {},
+            body = null,
+            auth = null,
+            params = null,
+            provider = null,
+            timeout = this.requestTimeout,
+            retries = this.maxRetries,
+            retry = null,
+            idempotencyHeader = null,
+            idempotencyKey = null
+        } = options;
+
+        let finalUrl = url;
+        if (params) {
+            const query = new URLSearchParams(params).toString();
+            finalUrl = `${url}?${query}`;
+        }
+
+        const fetchOptions = {
+            method,
+            headers: { ...headers }
+        };
+
+        if (auth) {
+            const credentials = Buffer.from(`${auth.username}:${auth.password}`).toString('base64');
+            fetchOptions.headers['Authorization'] = `Basic ${credentials}`;
+        }
+
+        if (body) {
+            fetchOptions.body = typeof body === 'string' ? body : JSON.stringify(body);
+            if (!fetchOptions.headers['Content-Type']) {
+                fetchOptions.headers['Content-Type'] = 'application/json';
+            }
+        }
+
+        // the same key is sent on every attempt, so the provider runs a retried POST only once
+        if (method === 'POST' && idempotencyHeader && !fetchOptions.headers[idempotencyHeader]) {
+            fetchOptions.headers[idempotencyHeader] = idempotencyKey || crypto.randomUUID();
+        }
+
+        const canRetry = retry ?? (method !== 'POST' || !!fetchOptions.headers[idempotencyHeader]);
+
+        for (let attempt = 0; ; attempt++) {
+            let error;
+
+            try {
+                return await this.fetchOnce(finalUrl, fetchOptions, { provider, timeout });
+            } catch (err) {
+                error = err;
+            }
+
+            if (!canRetry || !error.retryable || attempt >= retries) throw error;
+            await new Promise(resolve => setTimeout(resolve, this.retryDelay(attempt, error)));
+        }
+    }
+
+    async fetchOnce(url, fetchOptions, { provider, timeout }) {
+        const controller = new AbortController();
+        const timer = timeout ? setTimeout(() => controller.abort(), timeout) : null;
+
+        try {
+            let response;
+            let text;
+
+            try {
+                const send = this.mock ? this.mock.fetch : fetch;
+                response = await send(url, { ...fetchOptions, signal: controller.signal });
+                text = await response.text();
+            } catch (error) {
+                const timedOut = controller.signal.aborted;
+                throw new NetworkError(timedOut ? `request timed out after ${timeout}ms` : `request failed: ${error.message}`, {
+                    provider,
+                    code: timedOut ? 'timeout' : (error.cause?.code || 'network_error'),
+                    retryable: true,
+                    cause: error
+                });
+            }
+
+            let data = null;
+            try {
+                data = text ? JSON.parse(text) : null;
+            } catch (e) {
+                // html error pages from proxies and gateways
+                data = text;
+            }
+
+            if (!response.ok) throw this.httpError(response, data, provider);
+
+            return data;
+        } finally {
+            if (timer) clearTimeout(timer);
+        }
+    }
+
+    httpError(response, data, provider) {
+        const status = response.status;
+        const body = data && typeof data === 'object' ? data : {};
+
+        // paypal: { name, message, debug_id, details }, stripe and coinbase: { error: { type, code, message } }
+        const detail = body.details?.[0]?.description || body.error?.message || body.message || body.error_description
+            || (typeof body.error === 'string' ? body.error : null);
+
+        const options = {
+            provider,
+            status,
+            code: body.error?.code || body.error?.type || body.name || (typeof body.error === 'string' ? body.error : null),
+            debugId: body.debug_id || response.headers.get('paypal-debug-id') || response.headers.get('request-id')
+                || response.headers.get('x-request-id') || null,
+            response: data
+        };
+
+        const message = `http error: ${status}${detail ? ` (${detail})` : ''}`;
+
+        if (status === 401 || status === 403) return new AuthenticationError(message, options);
+        if (status === 429 || status >= 500) {
+            const error = new ProviderError(message, { ...options, retryable: true });
+            error.retryAfter = Number(response.headers.get('retry-after')) || null;
+            return error;
+        }
+        return new ValidationError(message, options);
+    }
+
+    // exponential backoff with jitter, retry-after wins if the provider sent one
+    retryDelay(attempt, error) {
+        if (error.retryAfter) return Math.min(error.retryAfter * 1000, 30 * 1000);
+        return this.retryBaseDelay * 2 ** attempt + Math.random() * this.retryBaseDelay;
+    }
+
+    // hmac over the signed params in a fixed order so nothing can be added, dropped or moved around
+    redirectSignature(query) {
+        const values = REDIRECT_PARAMS.map(key => query[key] == null ? null : String(query[key]));
+        return crypto.createHmac('sha256', this.secret).update(JSON.stringify(values)).digest('base64url');
+    }
+
+    // query string for a redirect back to the shop, valid for redirectTtl
+    signRedirect(params) {
+        const query = { expires: String(Date.now() + this.redirectTtl) };
+
+        for (const key of REDIRECT_PARAMS) {
+            if (params[key] != null && key !== 'expires') query[key] = String(params[key]);
+        }
+
+        query.signature = this.redirectSignature(query);
+        return new URLSearchParams(query).toString();
+    }
+
+    // returns the signed params of a redirect query, null if the signature is invalid or expired
+    verifyRedirect(query) {
+        if (!query?.signature || !query.expires) return null;
+        if (!(Number(query.expires) > Date.now())) return null;
+
+        const expected = Buffer.from(this.redirectSignature(query));
+        const actual = Buffer.from(String(query.signature));
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+        const verified = {};
+        for (const key of REDIRECT_PARAMS) {
+            if (query[key] != null) verified[key] = String(query[key]);
+        }
+        return verified;
+    }
+
+    registerRedirectRoutes() {
+        // only signed params are passed on, the page itself asks the status endpoint for the real state
+        const statusPage = (status, type = null) => (req, res) => {
+            const verified = this.verifyRedirect(req.query);
+            const params = verified ? { ...verified, signature: req.query.signature } : (type ? { type } : {});
+            const query = new URLSearchParams({ ...params, status }).toString();
+            return res.redirect(`${this.basePath}/payment-status.html?${query}`);
+        };
+
+        this.route('get', this.redirects.success, statusPage('success'));
+        this.route('get', this.redirects.error, statusPage('error'));
+        this.route('get', this.redirects.cancelled, statusPage('cancelled'));
+        this.route('get', this.redirects.subscriptionSuccess, statusPage('success', 'subscription'));
+        this.route('get', this.redirects.subscriptionError, statusPage('error', 'subscription'));
+    }
+
+    registerRoutes(basePath = '/payments') {
+        // shared cancel url, every provider gets a chance to look at the returned query
+        this.route('get', `${basePath}/cancel`, async (req, res) => {
+            for (const provider of Object.values(this.providers)) {
+                try {
+                    await provider.handleCancel(req.query);
+                } catch (e) {}
+            }
+            return res.redirect(this.redirects.cancelled);
+        });
+
+        // current state of a payment for the status page, needs the signed query of its redirect
+        this.route('get', `${basePath}/status/:paymentId`, async (req, res) => {
+            const verified = this.verifyRedirect(req.query);
+            if (!verified || verified.payment_id !== req.params.paymentId) {
+                return res.status(403).json({ ok: false, error: 'invalid_signature' });
+            }
+
+            const provider = this.providers[verified.provider];
+            if (!provider) return res.status(404).json({ ok: false, error: 'unknown_provider' });
+
+            try {
+                const state = await provider.getStatus(verified.payment_id, { type: verified.type || 'payment' });
+
+                return res.status(200).json({
+                    ok: true,
+                    provider: provider.name,
+                    paymentId: verified.payment_id,
+                    ...state,
+                    expires: Number(verified.expires)
+                });
+            } catch (error) {
+                return res.status(502).json({ ok: false, error: 'lookup_failed' });
+            }
+        });
+
+        return this;
+    }
+}
+
+class PayPal extends PaymentProvider {
+    constructor(parent, config, name = 'paypal') {
+        super(parent, config, name);
+        if (!config.clientId) throw new Error("missing paypal.clientId");
+        if (!config.clientSecret) throw new Error("missing paypal.clientSecret");
+
+        this.baseUrl = config.sandbox
+            ? 'https://api-m.sandbox.paypal.com'
+            : 'https://api-m.paypal.com';
+        this.idempotencyHeader = 'PayPal-Request-Id';
+        this.tokenCache = null;
+        this.tokenExpiry = null;
+        this.tokenRequest = null;
+    }
+
+    // minor units to the decimal string paypal expects for the currency
+    format(minor, currency) {
+        if (!PAYPAL_WHOLE_CURRENCIES.has(currency)) return Money.format(minor, currency);
+
+        const unit = 10 ** Money.exponent(currency);
+        if (minor % unit !== 0) {
+            throw new ValidationError(`paypal takes no decimals for ${currency}: ${Money.format(minor, currency)}`, { provider: 'paypal', code: 'DECIMALS_NOT_SUPPORTED' });
+        }
+        return String(minor / unit);
+    }
+
+    // a token paypal no longer accepts gets replaced once, then the call is repeated
+    async request(url, options = {}) {
+        try {
+            return await super.request(url, options);
+        } catch (error) {
+            const authorization = options.headers?.["Authorization"];
+            if (error.status !== 401 || !authorization?.startsWith('Bearer ')) throw error;
+
+            this.invalidateToken(authorization.slice('Bearer '.length));
+            const accessToken = await this.getAccessToken();
+
+            return super.request(url, {
+                ...options,
+                headers: { ...options.headers, "Authorization": `Bearer ${accessToken}` }
+            });
+        }
+    }
+
+    // concurrent callers share one token request
+    async getAccessToken() {
+        if (this.tokenCache && this.tokenExpiry > Date.now()) {
+            return this.tokenCache;
+        }
+
+        if (!this.tokenRequest) {
+            this.tokenRequest = this.fetchAccessToken().finally(() => {
+                this.tokenRequest = null;
+            });
+        }
+
+        return this.tokenRequest;
+    }
+
+    // only drops the token if no other call has replaced it already
+    invalidateToken(token) {
+        if (this.tokenCache !== token) return;
+
+        this.tokenCache = null;
+        this.tokenExpiry = null;
+    }
+
+    async fetchAccessToken() {
+        try {
+            const response = await this.request(
+                `${this.baseUrl}/v1/oauth2/token`,
+                {
+                    method: 'POST',
+                    auth: {
+                        username: this.config.clientId,
+                        password: this.config.clientSecret
+                    },
+                    params: {
+                        grant_type: 'client_credentials'
+                    },
+                    headers: {
+                        "Accept": "application/json",
+                        "Accept-Language": "en_US"
+                    },
+                    // asking for a token twice is harmless
+                    idempotencyHeader: null,
+                    retry: true
+                }
+            );
+
+            // renew 5 minutes early, short lived tokens halfway through
+            const expiresIn = Number(response.expires_in) || 60 * 60;
+            const margin = Math.min(5 * 60, expiresIn / 2);
+
+            this.tokenCache = response.access_token;
+            this.tokenExpiry = Date.now() + (expiresIn - margin) * 1000;
+            return this.tokenCache;
+        } catch (error) {
+            this.parent.emit('onError', {
+                type: 'auth',
+                provider: 'paypal',
+                error: error.response || error.message
+            });
+            throw error;
+        }
+    }
+
+    async createOrder({
+                          title,
+                          description = 'no description',
+                          price,
+                          quantity = 1,
+                          items = null,
+                          shipping = 0,
+                          handling = 0,
+                          taxTotal = null,
+                          discount = 0,
+                          currency = 'EUR',
+                          minorUnits = false,
+                          returnUrl = this.parent.getUrl('/paypal/verify'),
+                          cancelUrl = this.parent.getUrl('/cancel'),
+                          customId = this.parent.generateId(),
+                          metadata = {}
+                      }) {
+        const cart = this.parent.buildCart({ title, description, price, quantity, items, shipping, handling, taxTotal, discount, currency, minorUnits });
+        currency = cart.currency;
+
+        const accessToken = await this.getAccessToken();
+        const money = value => ({ currency_code: currency, value: this.format(value, currency) });
+
+        const breakdown = {
+            item_total: money(cart.itemTotal)
+        };
+
+        if (cart.taxTotal) breakdown.tax_total = money(cart.taxTotal);
+        if (cart.shipping) breakdown.shipping = money(cart.shipping);
+        if (cart.handling) breakdown.handling = money(cart.handling);
+        if (cart.discount) breakdown.discount = money(cart.discount);
+
+        const orderPayload = {
+            intent: "CAPTURE",
+            purchase_units: [{
+                amount: {
+                    ...money(cart.total),
+                    breakdown
+                },
+                items: cart.items.map(item => ({
+                    name: item.title,
+                    description: item.description,
+                    sku: item.sku,
+                    unit_amount: money(item.price),
+                    tax: item.tax ? money(item.tax) : undefined,
+                    quantity: `${item.quantity}`
+                })),
+                custom_id: customId
+            }],
+            application_context: {
+                return_url: returnUrl,
+                cancel_url: cancelUrl
+            }
+        };
+
+        try {
+            const response = await this.request(
+                `${this.baseUrl}/v2/checkout/orders`,
+                {
+                    method: 'POST',
+                    headers: {
+                        "Content-Type": "application/json",
+                        "Authorization": `Bearer ${accessToken}`
+                    },
+                    body: orderPayload
+                }
+            );
+
+            const approvalUrl = response.links.find(link => link.rel === "approve").href;
+
+            const result = {
+                provider: 'paypal',
+                type: 'order',
+                approvalUrl,
+                transactionId: customId,
+                orderId: response.id,
+                amount: Money.toNumber(cart.total, currency),
+                currency,
+                metadata,
+                rawResponse: response
+            };
+
+            await this.parent.setMetadata(response.id, metadata);
+            await this.parent.setExpectedAmount('paypal', response.id, cart.total, currency);
+
+            await this.parent.emit('onPaymentCreated', result);
+            return result;
+        } catch (error) {
+            this.parent.emit('onError', {
+                type: 'order_creation',
+                provider: 'paypal',
+                error: error.response || error.message
+            });
+            throw error;
+        }
+    }
+
+    async verifyOrder(orderId) {
+        const accessToken = await this.getAccessToken();
+
+        try {
+            let orderResponse = await this.request(
+                `${this.baseUrl}/v2/checkout/orders/${orderId}`,
+                {
+                    headers: {
+                        "Authorization": `Bearer ${accessToken}`
+                    }
+                }
+            );
+
+            let orderStatus = orderResponse.status;
+            const metadata = await this.parent.getMetadata(orderId);
+
+            // the checkout session was paid some other way in the meantime, the order is left uncaptured
+            const closedReason = orderStatus === "APPROVED" ? await this.parent.closedReason(metadata) : null;
+
+            if (closedReason) {
+                orderStatus = 'CLOSED';
+            } else if (orderStatus === "APPROVED") {
+                orderResponse = await this.captureOrder(orderId, accessToken);
+                orderStatus = orderResponse.status;
+            }
+
+            const result = this.orderResult(orderResponse, metadata);
+            if (closedReason) Object.assign(result, { status: orderStatus, closedReason });
+
+            if (orderStatus === 'COMPLETED' && !(await this.parent.checkAmount(result, orderResponse.id))) {
+                orderStatus = result.status;
+            }
+
+            if (orderStatus === 'COMPLETED') {
+                await this.parent.emitOnce('onPaymentCompleted', orderResponse.id, result);
+            } else if (orderStatus === 'VOIDED' || orderStatus === 'CANCELLED') {
+                await this.parent.emitOnce('onPaymentCancelled', orderResponse.id, result);
+            } else {
+                await this.parent.emit('onPaymentFailed', result);
+            }
+
+            await this.parent.deleteMetadata(orderId);
+
+            return result;
+        } catch (error) {
+            this.parent.emit('onError', {
+                type: 'order_verification',
+                provider: 'paypal',
+                orderId,
+                error: error.response || error.message
+            });
+
+            throw error;
+        }
+    }
+
+    // the verify route and the webhook capture the same order. one request id for both
+    // makes paypal answer the second capture with the first one's response
+    async captureOrder(orderId, accessToken) {
+        try {
+            return await this.request(
+                `${this.baseUrl}/v2/checkout/orders/${orderId}/capture`,
+                {
+                    method: 'POST',
+                    headers: {
+                        "Authorization": `Bearer ${accessToken}`
+                    },
+                    body: {},
+                    idempotencyKey: `capture-${orderId}`
+                }
+            );
+        } catch (error) {
+            // captured by a request with another id, e.g. from an older version
+            if (error.response?.details?.[0]?.issue !== 'ORDER_ALREADY_CAPTURED') throw error;
+
+            return this.request(`${this.baseUrl}/v2/checkout/orders/${orderId}`, {
+                headers: {
+                    "Authorization": `Bearer ${accessToken}`
+                }
+            });
+        }
+    }
+
+    async getOrder(orderId) {
+        const accessToken = await this.getAccessToken();
+
+        try {
+            const orderResponse = await this.request(
+                `${this.baseUrl}/v2/checkout/orders/${orderId}`,
+                {
+                    headers: {
+                        "Authorization": `Bearer ${accessToken}`
+                    }
+                }
+            );
+
+            return this.orderResult(orderResponse, await this.parent.getMetadata(orderId));
+        } catch (error) {
+            this.parent.emit('onError', {
+                type: 'order_lookup',
+                provider: 'paypal',
+                orderId,
+                error: error.response || error.message
+            });
+            throw error;
+        }
+    }
+
+    orderResult(orderResponse, metadata = {}) {
+        const purchaseUnit = orderResponse.purchase_units?.[0] || {};
+
+        const capture = purchaseUnit.payments?.captures?.[0];
+        const currency = capture?.amount?.currency_code || purchaseUnit.amount?.currency_code || 'EUR';
+
+        let amount = 0;
+        let customId = purchaseUnit.custom_id;
+
+        if (capture) {
+            amount = Money.parse(capture.amount.value, currency);
+            customId = capture.custom_id || purchaseUnit.custom_id;
+        } else if (purchaseUnit.amount?.value) {
+            amount = Money.parse(purchaseUnit.amount.value, currency);
+        }
+
+        return {
+            provider: 'paypal',
+            type: 'order',
+            status: orderResponse.status,
+            transactionId: customId,
+            orderId: orderResponse.id,
+            captureId: capture?.id || null,
+            amount: amount,
+            currency,
+            metadata,
+            rawResponse: orderResponse
+        };
+    }
+
+    normalizeStatus(status) {
+        switch (status) {
+            case 'CREATED':
+            case 'SAVED':
+            case 'PAYER_ACTION_REQUIRED':
+                return PaymentStatus.CREATED;
+            case 'APPROVED':
+                return PaymentStatus.APPROVED;
+            case 'PENDING':
+                return PaymentStatus.PENDING;
+            case 'COMPLETED':
+            case 'PARTIALLY_REFUNDED':
+                return PaymentStatus.COMPLETED;
+            case 'VOIDED':
+            case 'CANCELLED':
+                return PaymentStatus.CANCELLED;
+            // orders have no such status, the reconciler reports unpaid ones with it
+            case 'EXPIRED':
+                return PaymentStatus.EXPIRED;
+            case 'REFUNDED':
+            case 'REVERSED':
+                return PaymentStatus.REFUNDED;
+            default:
+                return PaymentStatus.FAILED;
+        }
+    }
+
+    async createPayment({ returnUrl, ...params }) {
+        return this.toPayment(await this.createOrder({ ...params, returnUrl }));
+    }
+
+    async verifyPayment(paymentId) {
+        return this.toPayment(await this.verifyOrder(paymentId));
+    }
+
+    async getPayment(paymentId) {
+        return this.toPayment(await this.getOrder(paymentId));
+    }
+
+    toPayment(result) {
+        const providerStatus = result.status || result.rawResponse?.status || null;
+
+        // the order stays COMPLETED after refunds or a pending capture, the capture has the real state
+        const captureStatus = result.rawResponse?.purchase_units?.[0]?.payments?.captures?.[0]?.status;
+        const status = providerStatus === 'COMPLETED' && captureStatus ? captureStatus : providerStatus;
+
+        return {
+            provider: 'paypal',
+            paymentId: result.orderId,
+            checkoutUrl: result.approvalUrl
+                || result.rawResponse?.links?.find(link => link.rel === 'approve' || link.rel === 'payer-action')?.href
+                || null,
+            status: this.normalizeStatus(status),
+            providerStatus,
+            transactionId: result.transactionId,
+            amount: result.amount,
+            currency: result.currency,
+            metadata: result.metadata,
+            alreadyProcessed: result.alreadyProcessed || false,
+            result
+        };
+    }
+
+    async refundPayment({ paymentId, amount, currency, reason }) {
+        return this.refundCapture({ orderId: paymentId, amount, currency, reason });
+    }
+
+    async handleCancel(query) {
+        if (query.token) await this.verifyOrder(query.token);
+    }
+
+    hasWebhook() {
+        return !!this.config.webhookId;
+    }
+
+    async handleWebhook(req) {
+        const event = await this.parent.getJsonBody(req);
+        if (!event?.event_type) return false;
+
+        const isValid = await this.verifyWebhook(req.headers, event);
+        if (!isValid) return false;
+
+        await this.handleWebhookEvent(event);
+        return true;
+    }
+
+    routes() {
+        const redirects = this.parent.redirects;
+
+        return [
+            {
+                method: 'get',
+                path: '/paypal/verify',
+                handler: async (req, res) => {
+                    try {
+                        const orderId = req.query.token;
+                        if (!orderId) return res.status(400).json({ ok: false, error: 'missing_token' });
+
+                        const result = await this.parent.verifiedResult(this.verifyOrder(orderId));
+
+                        if (result.status === 'COMPLETED') {
+                            const query = this.parent.signRedirect({
+                                payment_id: orderId,
+                                provider: 'paypal',
+                                amount: result.amount,
+                                currency: result.currency
+                            });
+                            return res.redirect(`${redirects.success}?${query}`);
+                        } else {
+                            return res.redirect(redirects.error);
+                        }
+                    } catch (error) {
+                        return res.redirect(redirects.error);
+                    }
+                }
+            },
+            {
+                method: 'get',
+                path: '/paypal/subscription/verify',
+                handler: async (req, res) => {
+                    try {
+                        const subscriptionId = req.query.subscription_id;
+                        if (!subscriptionId) return res.status(400).json({ ok: false, error: 'missing_subscription_id' });
+
+                        const result = await this.parent.verifiedResult(this.verifySubscription(subscriptionId));
+
+                        if (result.status === 'ACTIVE') {
+                            const query = this.parent.signRedirect({
+                                payment_id: subscriptionId,
+                                provider: 'paypal',
+                                type: 'subscription'
+                            });
+                            return res.redirect(`${redirects.subscriptionSuccess}?${query}`);
+                        } else {
+                            return res.redirect(redirects.subscriptionError);
+                        }
+                    } catch (error) {
+                        return res.redirect(redirects.subscriptionError);
+                    }
+                }
+            },
+            {
+                method: 'get',
+                path: '/paypal/subscription/revise/verify',
+                handler: async (req, res) => {
+                    try {
+                        const subscriptionId = req.query.subscription_id;
+                        if (!subscriptionId) return res.status(400).json({ ok: false, error: 'missing_subscription_id' });
+
+                        const result = await this.parent.verifiedResult(this.verifyRevision(subscriptionId));
+
+                        if (result.status === 'REVISED') {
+                            const query = this.parent.signRedirect({
+                                payment_id: subscriptionId,
+                                provider: 'paypal',
+                                type: 'subscription'
+                            });
+                            return res.redirect(`${redirects.subscriptionSuccess}?${query}`);
+                        } else {
+                            return res.redirect(redirects.subscriptionError);
+                        }
+                    } catch (error) {
+                        return res.redirect(redirects.subscriptionError);
+                    }
+                }
+            },
+            ...super.routes()
+        ];
+    }
+
+    async refundCapture({
+                            captureId,
+                            orderId,
+                            amount,
+                            currency,
+                            minorUnits = false,
+                            reason = 'refund'
+                        }) {
+        if (!captureId && !orderId) throw new Error('missing captureId or orderId');
+        if (currency) currency = Money.currency(currency);
+
+        const accessToken = await this.getAccessToken();
+
+        try {
+            let capture = null;
+
+            if (!captureId) {
+                const orderResponse = await this.request(
+                    `${this.baseUrl}/v2/checkout/orders/${orderId}`,
+                    {
+                        headers: {
+                            "Authorization": `Bearer ${accessToken}`
+                        }
+                    }
+                );
+
+                capture = orderResponse.purchase_units?.[0]?.payments?.captures?.[0];
+                if (!capture) throw new Error('order has no capture to refund');
+                captureId = capture.id;
+            } else if (amount && !currency) {
+                capture = await this.request(
+                    `${this.baseUrl}/v2/payments/captures/${captureId}`,
+                    {
+                        headers: {
+                            "Authorization": `Bearer ${accessToken}`
+                        }
+                    }
+                );
+            }
+
+            const refundData = {
+                note_to_payer: reason
+            };
+
+            currency = currency || capture?.amount?.currency_code || null;
+
+            // without an amount paypal refunds whatever is left of the capture
+            if (amount) {
+                refundData.amount = {
+                    value: this.format(Money.toMinor(amount, currency, { minorUnits }), currency),
+                    currency_code: currency
+                };
+            }
+
+            const response = await this.request(
+                `${this.baseUrl}/v2/payments/captures/${captureId}/refund`,
+                {
+                    method: 'POST',
+                    headers: {
+                        "Content-Type": "application/json",
+                        "Authorization": `Bearer ${accessToken}`
+                    },
+                    body: refundData
+                }
+            );
+
+            const result = {
+                provider: 'paypal',
+                type: 'refund',
+                status: response.status,
+                refundId: response.id,
+                captureId,
+                orderId: orderId || null,
+                amount: response.amount?.value
+                    ? Money.parse(response.amount.value, response.amount.currency_code)
+                    : (refundData.amount ? Number(refundData.amount.value) : null),
+                currency: response.amount?.currency_code || currency,
+                reason,
+                metadata: {},
+                rawResponse: response
+            };
+
+            await this.parent.emitOnce('onPaymentRefunded', response.id, result);
+            return result;
+        } catch (error) {
+            this.parent.emit('onError', {
+                type: 'refund',
+                provider: 'paypal',
+                captureId,
+                orderId,
+                error: error.response || error.message
+            });
+            throw error;
+        }
+    }
+
+    async createProduct(name, description, { type = 'SERVICE', category = 'SOFTWARE' } = {}) {
+        if (!name) throw new Error('missing name');
+
+        const accessToken = await this.getAccessToken();
+
+        const productData = {
+            name: name,
+            description: description || name,
+            type,
+            category
+        };
+
+        try {
+            const response = await this.request(
+                `${this.baseUrl}/v1/catalogs/products`,
+                {
+                    method: 'POST',
+                    headers: {
+                        "Content-Type": "application/json",
+                        "Authorization": `Bearer ${accessToken}`
+                    },
+                    body: productData
+                }
+            );
+
+            return response.id;
+        } catch (error) {
+            this.parent.emit('onError', {
+                type: 'product_creation',
+                provider: 'paypal',
+                error: error.response || error.message
+            });
+            throw error;
+        }
+    }
+
+    async listProducts({ page = 1, pageSize = 20 } = {}) {
+        const accessToken = await this.getAccessToken();
+
+        const response = await this.request(
+            `${this.baseUrl}/v1/catalogs/products`,
+            {
+                headers: {
+                    "Authorization": `Bearer ${accessToken}`
+                },
+                params: {
+                    page,
+                    page_size: pageSize,
+                    total_required: true
+                }
+            }
+        );
+
+        return (response?.products || []).map(product => this.productResult(product));
+    }
+
+    async getProduct(productId) {
+        if (!productId) throw new Error('missing productId');
+
+        const accessToken = await this.getAccessToken();
+
+        const response = await this.request(
+            `${this.baseUrl}/v1/catalogs/products/${productId}`,
+            {
+                headers: {
+                    "Authorization": `Bearer ${accessToken}`
+                }
+            }
+        );
+
+        return this.productResult(response);
+    }
+
+    productResult(product) {
+        return {
+            provider: 'paypal',
+            type: 'product',
+            productId: product.id,
+            name: product.name,
+            description: product.description || null,
+            productType: product.type || null,
+            category: product.category || null,
+            rawResponse: product
+        };
+    }
+
+    async createPlan({
+                         name,
+                         description,
+                         price,
+                         currency = 'EUR',
+                         minorUnits = false,
+                         interval = 'MONTH',
+                         frequency = 1,
+                         totalCycles = 0,
+                         productId = null,
+                         trial = null,
+                         setupFee = null,
+                         taxPercentage = null,
+                         taxInclusive = false,
+                         paymentFailureThreshold = 3
+                     }) {
+        if (!name) throw new Error('missing name');
+        if (price === undefined || price === null) throw new Error('missing price');
+
+        currency = Money.currency(currency);
+        const priceMinor = Money.toMinor(price, currency, { minorUnits, name: 'price' });
+
+        const billingCycles = [];
+
+        // the trial always runs first, a free trial has no pricing scheme at all
+        if (trial) {
+            const trialPrice = Money.toMinor(trial.price || 0, currency, { minorUnits, allowZero: true, name: 'trial price' });
+
+            billingCycles.push({
+                frequency: {
+                    interval_unit: trial.interval || interval,
+                    interval_count: trial.frequency || 1
+                },
+                tenure_type: "TRIAL",
+                sequence: 1,
+                total_cycles: trial.cycles || 1,
+                ...(trialPrice > 0 && {
+                    pricing_scheme: {
+                        fixed_price: {
+                            value: this.format(trialPrice, currency),
+                            currency_code: currency
+                        }
+                    }
+                })
+            });
+        }
+
+        billingCycles.push({
+            frequency: {
+                interval_unit: interval,
+                interval_count: frequency
+            },
+            tenure_type: "REGULAR",
+            sequence: billingCycles.length + 1,
+            total_cycles: totalCycles,
+            pricing_scheme: {
+                fixed_price: {
+                    value: this.format(priceMinor, currency),
+                    currency_code: currency
+                }
+            }
+        });
+
+        const paymentPreferences = {
+            auto_bill_outstanding: true,
+            payment_failure_threshold: paymentFailureThreshold
+        };
+
+        if (setupFee) {
+            paymentPreferences.setup_fee = {
+                value: this.format(Money.toMinor(setupFee, currency, { minorUnits, name: 'setup fee' }), currency),
+                currency_code: currency
+            };
+            paymentPreferences.setup_fee_failure_action = "CANCEL";
+        }
+
+        const accessToken = await this.getAccessToken();
+        if (!productId) productId = await this.createProduct(name, description);
+
+        const planData = {
+            product_id: productId,
+            name: name,
+            description: description || name,
+            billing_cycles: billingCycles,
+            payment_preferences: paymentPreferences
+        };
+
+        if (taxPercentage !== null && taxPercentage !== undefined) {
+            planData.taxes = {
+                percentage: String(taxPercentage),
+                inclusive: taxInclusive
+            };
+        }
+
+        try {
+            const response = await this.request(
+                `${this.baseUrl}/v1/billing/plans`,
+                {
+                    method: 'POST',
+                    headers: {
+                        "Content-Type": "application/json",
+                        "Authorization": `Bearer ${accessToken}`,
+                        "Prefer": "return=representation"
+                    },
+                    body: planData
+                }
+            );
+
+            // without a full representation the plan details come from what was sent
+            const result = this.planResult({ ...planData, ...response });
+            result.rawResponse = response;
+            return result;
+        } catch (error) {
+            this.parent.emit('onError', {
+                type: 'plan_creation',
+                provider: 'paypal',
+                error: error.response || error.message
+            });
+            throw error;
+        }
+    }
+
+    async listPlans({ productId = null, page = 1, pageSize = 20 } = {}) {
+        const accessToken = await this.getAccessToken();
+
+        const params = {
+            page,
+            page_size: pageSize,
+            total_required: true
+        };
+        if (productId) params.product_id = productId;
+
+        const response = await this.request(
+            `${this.baseUrl}/v1/billing/plans`,
+            {
+                headers: {
+                    "Authorization": `Bearer ${accessToken}`,
+                    "Prefer": "return=representation"
+                },
+                params
+            }
+        );
+
+        return (response?.plans || []).map(plan => this.planResult(plan));
+    }
+
+    async getPlan(planId) {
+        if (!planId) throw new Error('missing planId');
+
+        const accessToken = await this.getAccessToken();
+
+        const response = await this.request(
+            `${this.baseUrl}/v1/billing/plans/${planId}`,
+            {
+                headers: {
+                    "Authorization": `Bearer ${accessToken}`
+                }
+            }
+        );
+
+        return this.planResult(response);
+    }
+
+    // changes the price of the regular cycle, or the trial with trial: true.
+    // existing subscriptions move to the new price with their next billing cycle
+    async updatePlanPricing(planId, { price, minorUnits = false, trial = false }) {
+        if (!planId) throw new Error('missing planId');
+        if (price === undefined || price === null) throw new Error('missing price');
+
+        const plan = await this.getPlan(planId);
+        const cycle = plan.rawResponse.billing_cycles?.find(cycle => cycle.tenure_type === (trial ? 'TRIAL' : 'REGULAR'));
+        if (!cycle) throw new Error(`plan has no ${trial ? 'trial' : 'regular'} billing cycle`);
+
+        const priceMinor = Money.toMinor(price, plan.currency, { minorUnits, name: 'price' });
+        const accessToken = await this.getAccessToken();
+
+        try {
+            await this.request(
+                `${this.baseUrl}/v1/billing/plans/${planId}/update-pricing-schemes`,
+                {
+                    method: 'POST',
+                    headers: {
+                        "Content-Type": "application/json",
+                        "Authorization": `Bearer ${accessToken}`
+                    },
+                    body: {
+                        pricing_schemes: [{
+                            billing_cycle_sequence: cycle.sequence,
+                            pricing_scheme: {
+                                fixed_price: {
+                                    value: this.format(priceMinor, plan.currency),
+                                    currency_code: plan.currency
+                                }
+                            }
+                        }]
+                    }
+                }
+            );
+
+            return await this.getPlan(planId);
+        } catch (error) {
+            this.parent.emit('onError', {
+                type: 'plan_update',
+                provider: 'paypal',
+                planId,
+                error: error.response || error.message
+            });
+            throw error;
+        }
+    }
+
+    async deactivatePlan(planId) {
+        if (!planId) throw new Error('missing planId');
+
+        const accessToken = await this.getAccessToken();
+
+        try {
+            await this.request(
+                `${this.baseUrl}/v1/billing/plans/${planId}/deactivate`,
+                {
+                    method: 'POST',
+                    headers: {
+                        "Authorization": `Bearer ${accessToken}`
+                    }
+                }
+            );
+
+            return {
+                provider: 'paypal',
+                type: 'subscription_plan',
+                planId,
+                status: 'INACTIVE'
+            };
+        } catch (error) {
+            this.parent.emit('onError', {
+                type: 'plan_update',
+                provider: 'paypal',
+                planId,
+                error: error.response || error.message
+            });
+            throw error;
+        }
+    }
+
+    planResult(plan) {
+        const cycles = plan.billing_cycles || [];
+        const regular = cycles.find(cycle => cycle.tenure_type === 'REGULAR') || {};
+        const trial = cycles.find(cycle => cycle.tenure_type === 'TRIAL');
+
+        const regularPrice = regular.pricing_scheme?.fixed_price;
+        const currency = regularPrice?.currency_code || 'EUR';
+        const setupFee = plan.payment_preferences?.setup_fee;
+
+        return {
+            provider: 'paypal',
+            type: 'subscription_plan',
+            planId: plan.id,
+            productId: plan.product_id || null,
+            status: plan.status || null,
+            name: plan.name,
+            description: plan.description || null,
+            price: Money.parse(regularPrice?.value, currency),
+            currency,
+            interval: regular.frequency?.interval_unit || null,
+            frequency: regular.frequency?.interval_count || null,
+            totalCycles: regular.total_cycles ?? 0,
+            trial: trial ? {
+                price: Money.parse(trial.pricing_scheme?.fixed_price?.value, currency),
+                interval: trial.frequency?.interval_unit,
+                frequency: trial.frequency?.interval_count,
+                cycles: trial.total_cycles
+            } : null,
+            setupFee: setupFee ? Money.parse(setupFee.value, currency) : null,
+            taxPercentage: plan.taxes ? Number(plan.taxes.percentage) : null,
+            taxInclusive: plan.taxes ? !!plan.taxes.inclusive : null,
+            rawResponse: plan
+        };
+    }
+
+    // keeps paypal in line with a list of plan definitions keyed by our own slug.
+    // plans live on dedicated catalog products, anything active there that is no
+    // longer defined gets deactivated. the slug -> planId map ends up in the store
+    async syncPlans(definitions, { product = 'dSyncPay plans', dryRun = false } = {}) {
+        const plans = Array.isArray(definitions)
+            ? definitions
+            : Object.entries(definitions || {}).map(([slug, plan]) => ({ slug, ...plan }));
+
+        const slugs = new Set();
+        for (const plan of plans) {
+            if (!plan.slug) throw new Error('missing plan slug');
+            if (slugs.has(plan.slug)) throw new Error(`duplicate plan slug: ${plan.slug}`);
+            slugs.add(plan.slug);
+        }
+
+        const previous = await this.parent.store.get('plans:paypal') || {};
+        const productNames = [...new Set(plans.map(plan => plan.product || product))];
+
+        const products = {};
+        for (const item of await this.listAll((page, pageSize) => this.listProducts({ page, pageSize }))) {
+            if (productNames.includes(item.name) && !products[item.name]) products[item.name] = item.productId;
+        }
+
+        const active = [];
+        for (const productId of Object.values(products)) {
+            const listed = await this.listAll((page, pageSize) => this.listPlans({ productId, page, pageSize }));
+            active.push(...listed.filter(plan => plan.status === 'ACTIVE'));
+        }
+
+        const map = {};
+        const changes = [];
+        const kept = new Set();
+
+        for (const definition of plans) {
+            const { slug, product: productName = product, ...options } = definition;
+            options.name = options.name || slug;
+
+            const candidate = active.find(plan => plan.planId === previous[slug] && !kept.has(plan.planId))
+                || active.find(plan => plan.name === options.name && !kept.has(plan.planId));
+
+            const current = candidate ? await this.getPlan(candidate.planId) : null;
+            const diff = current ? this.comparePlan(current, options) : null;
+
+            if (current && !diff.structure) {
+                kept.add(current.planId);
+                map[slug] = current.planId;
+
+                if (diff.price || diff.trialPrice) {
+                    if (!dryRun) {
+                        if (diff.price) await this.updatePlanPricing(current.planId, { price: options.price, minorUnits: options.minorUnits });
+                        if (diff.trialPrice) await this.updatePlanPricing(current.planId, { price: options.trial.price, minorUnits: options.minorUnits, trial: true });
+                    }
+                    changes.push({ slug, planId: current.planId, action: 'updated' });
+                } else {
+                    changes.push({ slug, planId: current.planId, action: 'unchanged' });
+                }
+                continue;
+            }
+
+            let planId = null;
+            if (!dryRun) {
+                if (!products[productName]) products[productName] = await this.createProduct(productName);
+                planId = (await this.createPlan({ ...options, productId: products[productName] })).planId;
+            }
+
+            map[slug] = planId;
+            changes.push({ slug, planId, action: current ? 'replaced' : 'created' });
+        }
+
+        // replaced plans and plans whose definition was removed
+        for (const plan of active) {
+            if (kept.has(plan.planId)) continue;
+
+            if (!dryRun) await this.deactivatePlan(plan.planId);
+            changes.push({
+                slug: Object.keys(previous).find(slug => previous[slug] === plan.planId) || null,
+                planId: plan.planId,
+                action: 'deactivated'
+            });
+        }
+
+        if (!dryRun) await this.parent.store.set('plans:paypal', map);
+
+        return {
+            provider: 'paypal',
+            plans: map,
+            changes
+        };
+    }
+
+    // what it takes to turn an existing plan into a definition. only prices can be
+    // changed on a paypal plan, everything else needs a new one
+    comparePlan(plan, definition) {
+        const currency = Money.currency(definition.currency || 'EUR');
+        const minorUnits = definition.minorUnits || false;
+        const minor = (value, allowZero = true) => value === null || value === undefined
+            ? null
+            : Money.toMinor(value, currency, { minorUnits, allowZero });
+        const plain = (value) => value === null || value === undefined ? null : Money.toMinor(value, currency, { allowZero: true });
+        // paypal reports the percentage as a string, config files can have either
+        const percentage = (value) => value === null || value === undefined ? null : Number(value);
+
+        const trial = definition.trial || null;
+        const trialPrice = trial ? minor(trial.price || 0) : null;
+
+        const structure = plan.currency !== currency
+            || plan.interval !== (definition.interval || 'MONTH')
+            || plan.frequency !== (definition.frequency || 1)
+            || plan.totalCycles !== (definition.totalCycles || 0)
+            || plain(plan.setupFee || null) !== minor(definition.setupFee || null)
+            || percentage(plan.taxPercentage) !== percentage(definition.taxPercentage)
+            || (percentage(plan.taxPercentage) !== null && plan.taxInclusive !== !!definition.taxInclusive)
+            || !!plan.trial !== !!trial
+            || (trial && (
+                plan.trial.interval !== (trial.interval || definition.interval || 'MONTH')
+                || plan.trial.frequency !== (trial.frequency || 1)
+                || plan.trial.cycles !== (trial.cycles || 1)
+                // a free trial has no pricing scheme that could be updated later on
+                || (plain(plan.trial.price) === 0) !== (trialPrice === 0)
+            ));
+
+        return {
+            structure: !!structure,
+            price: plain(plan.price) !== minor(definition.price, false),
+            trialPrice: !!trial && plain(plan.trial?.price) !== trialPrice
+        };
+    }
+
+    async listAll(fetchPage, pageSize = 20) {
+        const all = [];
+
+        for (let page = 1; ; page++) {
+            const items = await fetchPage(page, pageSize);
+            all.push(...items);
+            if (items.length < pageSize) return all;
+        }
+    }
+
+    async resolvePlan(slug) {
+        const plans = { ...this.config.plans, ...await this.parent.store.get('plans:paypal') };
+        if (!plans[slug]) throw new Error(`unknown plan: ${slug}`);
+        return plans[slug];
+    }
+
+    async createSubscription({
+                                 planId,
+                                 plan,
+                                 returnUrl = this.parent.getUrl('/paypal/subscription/verify'),
+                                 cancelUrl = this.parent.getUrl('/cancel'),
+                                 customId = this.parent.generateId(),
+                                 metadata = {}
+                             }) {
+        if (!planId && plan) planId = await this.resolvePlan(plan);
+        if (!planId) throw new Error('missing planId');
+
+        const accessToken = await this.getAccessToken();
+
+        const subscriptionData = {
+            plan_id: planId,
+            custom_id: customId,
+            application_context: {
+                return_url: returnUrl,
+                cancel_url: cancelUrl
+            }
+        };
+
+        try {
+            const response = await this.request(
+                `${this.baseUrl}/v1/billing/subscriptions`,
+                {
+                    method: 'POST',
+                    headers: {
+                        "Content-Type": "application/json",
+                        "Authorization": `Bearer ${accessToken}`
+                    },
+                    body: subscriptionData
+                }
+            );
+
+            const approvalUrl = response.links.find(link => link.rel === "approve").href;
+
+            const result = {
+                provider: 'paypal',
+                type: 'subscription',
+                approvalUrl,
+                transactionId: customId,
+                subscriptionId: response.id,
+                planId,
+                metadata,
+                rawResponse: response
+            };
+
+            await this.parent.setMetadata(response.id, metadata);
+
+            this.parent.emit('onSubscriptionCreated', result);
+            return result;
+        } catch (error) {
+            this.parent.emit('onError', {
+                type: 'subscription_creation',
+                provider: 'paypal',
+                error: error.response || error.message
+            });
+            throw error;
+        }
+    }
+
+    async verifySubscription(subscriptionId) {
+        const accessToken = await this.getAccessToken();
+
+        try {
+            const response = await this.request(
+                `${this.baseUrl}/v1/billing/subscriptions/${subscriptionId}`,
+                {
+                    headers: {
+                        "Authorization": `Bearer ${accessToken}`
+                    }
+                }
+            );
+
+            const result = await this.subscriptionResult(response);
+
+            if (['ACTIVE', 'CANCELLED', 'EXPIRED'].includes(response.status)) {
+                await this.emitSubscriptionStatus(result);
+            }
+
+            // active subscriptions keep their metadata so later cancellations can still pass it on
+            if (response.status === 'CANCELLED' || response.status === 'EXPIRED') {
+                await this.parent.deleteMetadata(subscriptionId);
+            }
+
+            return result;
+        } catch (error) {
+            this.parent.emit('onError', {
+                type: 'subscription_verification',
+                provider: 'paypal',
+                subscriptionId,
+                error: error.response || error.message
+            });
+
+            throw error;
+        }
+    }
+
+    async getSubscription(subscriptionId) {
+        const accessToken = await this.getAccessToken();
+
+        try {
+            const response = await this.request(
+                `${this.baseUrl}/v1/billing/subscriptions/${subscriptionId}`,
+                {
+                    headers: {
+                        "Authorization": `Bearer ${accessToken}`
+                    }
+                }
+            );
+
+            return await this.subscriptionResult(response);
+        } catch (error) {
+            this.parent.emit('onError', {
+                type: 'subscription_lookup',
+                provider: 'paypal',
+                subscriptionId,
+                error: error.response || error.message
+            });
+
+            throw error;
+        }
+    }
+
+    async getStatus(paymentId, { type = 'payment' } = {}) {
+        if (type !== 'subscription') return super.getStatus(paymentId, { type });
+
+        const subscription = await this.getSubscription(paymentId);
+        const lastPayment = subscription.rawResponse.billing_info?.last_payment?.amount;
+
+        return {
+            type: 'subscription',
+            status: String(subscription.status).toLowerCase(),
+            providerStatus: subscription.status,
+            amount: lastPayment ? Money.parse(lastPayment.value, lastPayment.currency_code) : null,
+            currency: lastPayment?.currency_code ?? null
+        };
+    }
+
+    async cancelSubscription(subscriptionId, reason = 'customer request') {
+        const accessToken = await this.getAccessToken();
+
+        try {
+            await this.request(
+                `${this.baseUrl}/v1/billing/subscriptions/${subscriptionId}/cancel`,
+                {
+                    method: 'POST',
+                    headers: {
+                        "Content-Type": "application/json",
+                        "Authorization": `Bearer ${accessToken}`
+                    },
+                    body: { reason }
+                }
+            );
+
+            const metadata = await this.parent.getMetadata(subscriptionId);
+
+            const result = {
+                provider: 'paypal',
+                type: 'subscription',
+                subscriptionId,
+                status: 'CANCELLED',
+                reason,
+                metadata
+            };
+
+            await this.parent.deleteMetadata(subscriptionId);
+
+            await this.emitSubscriptionStatus(result);
+            return result;
+        } catch (error) {
+            this.parent.emit('onError', {
+                type: 'subscription_cancellation',
+                provider: 'paypal',
+                subscriptionId,
+                error: error.response || error.message
+            });
+
+            throw error;
+        }
+    }
+
+    async suspendSubscription(subscriptionId, reason = 'customer request') {
+        if (!subscriptionId) throw new Error('missing subscriptionId');
+
+        const accessToken = await this.getAccessToken();
+
+        try {
+            await this.request(
+                `${this.baseUrl}/v1/billing/subscriptions/${subscriptionId}/suspend`,
+                {
+                    method: 'POST',
+                    headers: {
+                        "Content-Type": "application/json",
+                        "Authorization": `Bearer ${accessToken}`
+                    },
+                    body: { reason }
+                }
+            );
+
+            const result = {
+                provider: 'paypal',
+                type: 'subscription',
+                subscriptionId,
+                status: 'SUSPENDED',
+                reason,
+                metadata: await this.parent.getMetadata(subscriptionId)
+            };
+
+            await this.emitSubscriptionStatus(result);
+            return result;
+        } catch (error) {
+            this.parent.emit('onError', {
+                type: 'subscription_suspension',
+                provider: 'paypal',
+                subscriptionId,
+                error: error.response || error.message
+            });
+
+            throw error;
+        }
+    }
+
+    async activateSubscription(subscriptionId, reason = 'reactivated') {
+        if (!subscriptionId) throw new Error('missing subscriptionId');
+
+        const accessToken = await this.getAccessToken();
+
+        try {
+            await this.request(
+                `${this.baseUrl}/v1/billing/subscriptions/${subscriptionId}/activate`,
+                {
+                    method: 'POST',
+                    headers: {
+                        "Content-Type": "application/json",
+                        "Authorization": `Bearer ${accessToken}`
+                    },
+                    body: { reason }
+                }
+            );
+
+            const result = {
+                provider: 'paypal',
+                type: 'subscription',
+                subscriptionId,
+                status: 'ACTIVE',
+                reason,
+                metadata: await this.parent.getMetadata(subscriptionId)
+            };
+
+            await this.emitSubscriptionStatus(result);
+            return result;
+        } catch (error) {
+            this.parent.emit('onError', {
+                type: 'subscription_activation',
+                provider: 'paypal',
+                subscriptionId,
+                error: error.response || error.message
+            });
+
+            throw error;
+        }
+    }
+
+    // paypal prorates the change itself. revisions that change the price need the
+    // buyer's consent first, those come back with an approvalUrl and finish in verifyRevision
+    async revisePlan({
+                         subscriptionId,
+                         planId,
+                         quantity,
+                         returnUrl = this.parent.getUrl('/paypal/subscription/revise/verify'),
+                         cancelUrl = this.parent.getUrl('/cancel')
+                     }) {
+        if (!subscriptionId) throw new Error('missing subscriptionId');
+        if (!planId) throw new Error('missing planId');
+
+        const accessToken = await this.getAccessToken();
+
+        const reviseData = {
+            plan_id: planId,
+            application_context: {
+                return_url: returnUrl,
+                cancel_url: cancelUrl
+            }
+        };
+
+        if (quantity !== undefined) reviseData.quantity = String(quantity);
+
+        try {
+            const response = await this.request(
+                `${this.baseUrl}/v1/billing/subscriptions/${subscriptionId}/revise`,
+                {
+                    method: 'POST',
+                    headers: {
+                        "Content-Type": "application/json",
+                        "Authorization": `Bearer ${accessToken}`
+                    },
+                    body: reviseData
+                }
+            );
+
+            const approvalUrl = response.links?.find(link => link.rel === 'approve')?.href || null;
+
+            const result = {
+                provider: 'paypal',
+                type: 'subscription',
+                status: approvalUrl ? 'APPROVAL_PENDING' : 'REVISED',
+                subscriptionId,
+                planId: response.plan_id || planId,
+                effectiveTime: response.effective_time || null,
+                approvalUrl,
+                metadata: await this.parent.getMetadata(subscriptionId),
+                rawResponse: response
+            };
+
+            if (approvalUrl) {
+                await this.parent.store.set(`revision:paypal:${subscriptionId}`, { planId: result.planId }, this.parent.metadataTtl);
+            } else {
+                await this.parent.emit('onSubscriptionUpdated', result);
+            }
+
+            return result;
+        } catch (error) {
+            this.parent.emit('onError', {
+                type: 'subscription_revision',
+                provider: 'paypal',
+                subscriptionId,
+                error: error.response || error.message
+            });
+
+            throw error;
+        }
+    }
+
+    async verifyRevision(subscriptionId) {
+        const accessToken = await this.getAccessToken();
+
+        try {
+            const response = await this.request(
+                `${this.baseUrl}/v1/billing/subscriptions/${subscriptionId}`,
+                {
+                    headers: {
+                        "Authorization": `Bearer ${accessToken}`
+                    }
+                }
+            );
+
+            const result = await this.subscriptionResult(response);
+            const pending = await this.parent.store.get(`revision:paypal:${subscriptionId}`);
+
+            // the buyer approved once the subscription is on the requested plan
+            if (pending && pending.planId === response.plan_id) {
+                result.status = 'REVISED';
+                await this.parent.store.delete(`revision:paypal:${subscriptionId}`);
+                await this.parent.emit('onSubscriptionUpdated', result);
+            } else if (pending) {
+                result.status = 'APPROVAL_PENDING';
+            }
+
+            return result;
+        } catch (error) {
+            this.parent.emit('onError', {
+                type: 'subscription_revision',
+                provider: 'paypal',
+                subscriptionId,
+                error: error.response || error.message
+            });
+
+            throw error;
+        }
+    }
+
+    async getSubscriptionTransactions(subscriptionId, start, end = new Date()) {
+        if (!subscriptionId) throw new Error('missing subscriptionId');
+        if (!start) throw new Error('missing start');
+
+        const accessToken = await this.getAccessToken();
+
+        const response = await this.request(
+            `${this.baseUrl}/v1/billing/subscriptions/${subscriptionId}/transactions`,
+            {
+                headers: {
+                    "Authorization": `Bearer ${accessToken}`
+                },
+                params: {
+                    start_time: new Date(start).toISOString(),
+                    end_time: new Date(end).toISOString()
+                }
+            }
+        );
+
+        return (response?.transactions || []).map(transaction => {
+            const amounts = transaction.amount_with_breakdown || {};
+            const currency = amounts.gross_amount?.currency_code || 'EUR';
+
+            return {
+                provider: 'paypal',
+                type: 'subscription_transaction',
+                status: transaction.status,
+                transactionId: transaction.id,
+                subscriptionId,
+                amount: Money.parse(amounts.gross_amount?.value, currency),
+                fee: Money.parse(amounts.fee_amount?.value, currency),
+                net: Money.parse(amounts.net_amount?.value, currency),
+                currency,
+                payerEmail: transaction.payer_email || null,
+                time: transaction.time,
+                rawResponse: transaction
+            };
+        });
+    }
+
+    // the return route, the webhook and our own cancel / suspend / activate calls all report
+    // the same status change, it fires once per change. a new status lets the others fire again
+    async emitSubscriptionStatus(result) {
+        const status = result.status === 'EXPIRED' ? 'CANCELLED' : result.status;
+        const id = result.subscriptionId;
+
+        const claimed = await this.parent.emitOnce(SUBSCRIPTION_STATUS_EVENTS[status], `${id}:${status}`, result);
+
+        if (claimed) {
+            for (const [other, event] of Object.entries(SUBSCRIPTION_STATUS_EVENTS)) {
+                if (other !== status) await this.parent.releaseEvent(event, 'paypal', `${id}:${other}`);
+            }
+        }
+
+        return claimed;
+    }
+
+    async subscriptionResult(resource) {
+        return {
+            provider: 'paypal',
+            type: 'subscription',
+            status: resource.status,
+            subscriptionId: resource.id,
+            planId: resource.plan_id,
+            customId: resource.custom_id,
+            metadata: await this.parent.getMetadata(resource.id),
+            rawResponse: resource
+        };
+    }
+
+    async verifyWebhook(headers, event) {
+        const accessToken = await this.getAccessToken();
+
+        const response = await this.request(
+            `${this.baseUrl}/v1/notifications/verify-webhook-signature`,
+            {
+                method: 'POST',
+                headers: {
+                    "Content-Type": "application/json",
+                    "Authorization": `Bearer ${accessToken}`
+                },
+                body: {
+                    auth_algo: headers['paypal-auth-algo'],
+                    cert_url: headers['paypal-cert-url'],
+                    transmission_id: headers['paypal-transmission-id'],
+                    transmission_sig: headers['paypal-transmission-sig'],
+                    transmission_time: headers['paypal-transmission-time'],
+                    webhook_id: this.config.webhookId,
+                    webhook_event: event
+                },
+                retry: true
+            }
+        );
+
+        return response?.verification_status === 'SUCCESS';
+    }
+
+    async handleWebhookEvent(event) {
+        const resource = event.resource || {};
+
+        switch (event.event_type) {
+            case 'CHECKOUT.ORDER.APPROVED':
+                // buyer approved but may never return to the verify route, so capture here
+                return this.verifyOrder(resource.id);
+
+            case 'PAYMENT.CAPTURE.COMPLETED': {
+                const orderId = resource.supplementary_data?.related_ids?.order_id;
+                if (orderId) return this.verifyOrder(orderId);
+
+                const result = this.captureResult(resource, 'COMPLETED');
+                await this.parent.emitOnce('onPaymentCompleted', result.captureId, result);
+                return result;
+            }
+
+            case 'PAYMENT.CAPTURE.DENIED':
+            case 'PAYMENT.CAPTURE.DECLINED': {
+                const result = this.captureResult(resource, resource.status || 'DECLINED');
+                await this.parent.emit('onPaymentFailed', result);
+                return result;
+            }
+
+            case 'PAYMENT.CAPTURE.REFUNDED':
+            case 'PAYMENT.CAPTURE.REVERSED': {
+                const result = this.captureResult(resource, event.event_type === 'PAYMENT.CAPTURE.REFUNDED' ? 'REFUNDED' : 'REVERSED');
+                result.type = 'refund';
+                result.refundId = resource.id;
+                await this.parent.emitOnce('onPaymentRefunded', resource.id, result);
+                return result;
+            }
+
+            case 'BILLING.SUBSCRIPTION.ACTIVATED':
+            case 'BILLING.SUBSCRIPTION.RE-ACTIVATED':
+            case 'BILLING.SUBSCRIPTION.CANCELLED':
+            case 'BILLING.SUBSCRIPTION.EXPIRED':
+                return this.verifySubscription(resource.id);
+
+            case 'BILLING.SUBSCRIPTION.SUSPENDED': {
+                const result = await this.subscriptionResult({ ...resource, status: 'SUSPENDED' });
+                await this.emitSubscriptionStatus(result);
+                return result;
+            }
+
+            case 'BILLING.SUBSCRIPTION.UPDATED': {
+                // a revision approved in a closed tab only shows up here
+                const pending = await this.parent.store.get(`revision:paypal:${resource.id}`);
+                if (pending) return this.verifyRevision(resource.id);
+
+                const result = await this.subscriptionResult(resource);
+                await this.parent.emit('onSubscriptionUpdated', result);
+                return result;
+            }
+
+            case 'BILLING.SUBSCRIPTION.PAYMENT.FAILED': {
+                const failed = resource.billing_info?.last_failed_payment;
+                const result = await this.subscriptionResult({ ...resource, status: 'PAYMENT_FAILED' });
+
+                result.amount = failed?.amount ? Money.parse(failed.amount.value, failed.amount.currency_code) : null;
+                result.currency = failed?.amount?.currency_code || null;
+                result.reasonCode = failed?.reason_code || null;
+                result.failedPaymentsCount = resource.billing_info?.failed_payments_count ?? null;
+
+                await this.parent.emit('onSubscriptionPaymentFailed', result);
+                return result;
+            }
+
+            default:
+                return null;
+        }
+    }
+
+    // capture and refund resources from webhooks carry the order id in different places
+    captureResult(resource, status) {
+        const isRefund = status === 'REFUNDED' || status === 'REVERSED';
+        const captureLink = resource.links?.find(link => link.rel === 'up')?.href;
+
+        return {
+            provider: 'paypal',
+            type: 'order',
+            status,
+            transactionId: resource.custom_id,
+            orderId: resource.supplementary_data?.related_ids?.order_id || null,
+            captureId: resource.supplementary_data?.related_ids?.capture_id
+                || (isRefund && captureLink ? captureLink.split('/').pop() : resource.id),
+            amount: Money.parse(resource.amount?.value, resource.amount?.currency_code || 'EUR'),
+            currency: resource.amount?.currency_code || 'EUR',
+            metadata: {},
+            rawResponse: resource
+        };
+    }
+}
+
+class Coinbase extends PaymentProvider {
+    constructor(parent, config, name = 'coinbase') {
+        super(parent, config, name);
+        if (!config.apiKey) throw new Error("missing coinbase.apiKey");
+
+        this.baseUrl = 'https://api.commerce.coinbase.com';
+    }
+
+    // api call with the coinbase headers, empty params are left out of the query
+    async call(path, { method = 'GET', body = null, params = null } = {}) {
+        return this.request(`${this.baseUrl}${path}`, {
+            method,
+            headers: {
+                "Content-Type": "application/json",
+                "X-CC-Api-Key": this.config.apiKey,
+                "X-CC-Version": "2018-03-22"
+            },
+            body,
+            params: params ? Object.fromEntries(Object.entries(params).filter(([, value]) => value != null)) : null
+        });
+    }
+
+    async createCharge({
+                           title,
+                           description = 'no description',
+                           price,
+                           quantity = 1,
+                           items = null,
+                           shipping = 0,
+                           handling = 0,
+                           taxTotal = null,
+                           discount = 0,
+                           currency = 'EUR',
+                           minorUnits = false,
+                           redirectUrl = this.parent.getUrl('/coinbase/verify'),
+                           cancelUrl = this.parent.getUrl('/cancel'),
+                           metadata = {},
+                           noPrice = false
+                       }) {
+        // no_price charges let the buyer pay any amount, e.g. donations
+        if (noPrice && !title) throw new Error("missing title");
+
+        const cart = noPrice ? null : this.parent.buildCart({ title, description, price, quantity, items, shipping, handling, taxTotal, discount, currency, minorUnits });
+        if (cart) currency = cart.currency;
+
+        const chargeData = {
+            name: (title || (cart.items.length === 1 ? cart.items[0].title : `${cart.items.length} items`)).slice(0, 100),
+            description: items && cart ? this.describeCart(cart, currency) : description,
+            pricing_type: noPrice ? "no_price" : "fixed_price",
+            metadata: metadata,
+            ...(cart ? {
+                local_price: {
+                    amount: Money.format(cart.total, currency),
+                    currency: currency
+                }
+            } : {}),
+            redirect_url: redirectUrl,
+            cancel_url: cancelUrl
+        };
+
+        try {
+            const response = await this.request(
+                `${this.baseUrl}/charges`,
+                {
+                    method: 'POST',
+                    headers: {
+                        "Content-Type": "application/json",
+                        "X-CC-Api-Key": this.config.apiKey,
+                        "X-CC-Version": "2018-03-22"
+                    },
+                    body: chargeData
+                }
+            );
+
+            const charge = response.data;
+
+            const result = {
+                provider: 'coinbase',
+                type: 'charge',
+                pricingType: chargeData.pricing_type,
+                hostedUrl: charge.hosted_url,
+                chargeId: charge.id,
+                chargeCode: charge.code,
+                amount: cart ? Money.toNumber(cart.total, currency) : null,
+                currency: cart ? currency : null,
+                metadata,
+                rawResponse: charge
+            };
+
+            if (cart) await this.parent.setExpectedAmount('coinbase', charge.id, cart.total, currency);
+
+            await this.parent.emit('onPaymentCreated', result);
+            return result;
+        } catch (error) {
+            this.parent.emit('onError', {
+                type: 'charge_creation',
+                provider: 'coinbase',
+                error: error.response || error.message
+            });
+            throw error;
+        }
+    }
+
+    // coinbase charges have no line items, so the cart is summarized in the description
+    describeCart(cart, currency) {
+        const parts = cart.items.map(item => `${item.quantity}x ${item.title}`);
+
+        if (cart.taxTotal) parts.push(`tax ${Money.format(cart.taxTotal, currency)} ${currency}`);
+        if (cart.shipping) parts.push(`shipping ${Money.format(cart.shipping, currency)} ${currency}`);
+        if (cart.handling) parts.push(`handling ${Money.format(cart.handling, currency)} ${currency}`);
+        if (cart.discount) parts.push(`discount -${Money.format(cart.discount, currency)} ${currency}`);
+
+        const summary = parts.join(', ');
+        return summary.length > 200 ? `${summary.slice(0, 197)}...` : summary;
+    }
+
+    async verifyCharge(chargeId) {
+        try {
+            const response = await this.request(
+                `${this.baseUrl}/charges/${chargeId}`,
+                {
+                    headers: {
+                        "Content-Type": "application/json",
+                        "X-CC-Api-Key": this.config.apiKey,
+                        "X-CC-Version": "2018-03-22"
+                    }
+                }
+            );
+
+            return await this.handleCharge(response.data);
+        } catch (error) {
+            this.parent.emit('onError', {
+                type: 'charge_verification',
+                provider: 'coinbase',
+                chargeId,
+                error: error.response || error.message
+            });
+            throw error;
+        }
+    }
+
+    // fires the callbacks for the current state of a charge, used by verifyCharge and webhooks
+    async handleCharge(charge) {
+        const result = this.chargeResult(charge);
+
+        if (result.status === 'COMPLETED' || result.status === 'RESOLVED') await this.parent.checkAmount(result, charge.id);
+        const latestStatus = result.status;
+
+        if (latestStatus === 'COMPLETED' || latestStatus === 'RESOLVED') {
+            await this.parent.emitOnce('onPaymentCompleted', charge.id, result);
+        } else if (latestStatus === 'CANCELED') {
+            await this.parent.emitOnce('onPaymentCancelled', charge.id, result);
+        } else if (latestStatus === 'EXPIRED' || latestStatus === 'UNRESOLVED' || latestStatus === 'AMOUNT_MISMATCH') {
+            await this.parent.emit('onPaymentFailed', result);
+        }
+
+        return result;
+    }
+
+    async getCharge(chargeId) {
+        try {
+            const response = await this.request(
+                `${this.baseUrl}/charges/${chargeId}`,
+                {
+                    headers: {
+                        "Content-Type": "application/json",
+                        "X-CC-Api-Key": this.config.apiKey,
+                        "X-CC-Version": "2018-03-22"
+                    }
+                }
+            );
+
+            return this.chargeResult(response.data);
+        } catch (error) {
+            this.parent.emit('onError', {
+                type: 'charge_lookup',
+                provider: 'coinbase',
+                chargeId,
+                error: error.response || error.message
+            });
+            throw error;
+        }
+    }
+
+    // only charges nobody has paid yet (NEW) can be cancelled
+    async cancelCharge(chargeId) {
+        try {
+            const response = await this.call(`/charges/${chargeId}/cancel`, { method: 'POST' });
+            return await this.handleCharge(response.data);
+        } catch (error) {
+            this.parent.emit('onError', {
+                type: 'charge_cancellation',
+                provider: 'coinbase',
+                chargeId,
+                error: error.response || error.message
+            });
+            throw error;
+        }
+    }
+
+    // accepts an UNRESOLVED charge, e.g. an underpayment you are fine with. fires onPaymentCompleted
+    async resolveCharge(chargeId) {
+        try {
+            const response = await this.call(`/charges/${chargeId}/resolve`, { method: 'POST' });
+            return await this.handleCharge(response.data);
+        } catch (error) {
+            this.parent.emit('onError', {
+                type: 'charge_resolution',
+                provider: 'coinbase',
+                chargeId,
+                error: error.response || error.message
+            });
+            throw error;
+        }
+    }
+
+    // newest first by default, pass nextCursor as startingAfter for the next page
+    async listCharges({ limit = 25, startingAfter = null, endingBefore = null, order = 'desc' } = {}) {
+        try {
+            const response = await this.call('/charges', {
+                params: { limit, starting_after: startingAfter, ending_before: endingBefore, order }
+            });
+
+            return {
+                provider: 'coinbase',
+                charges: response.data.map(charge => this.chargeResult(charge)),
+                ...this.pagination(response, limit)
+            };
+        } catch (error) {
+            this.parent.emit('onError', {
+                type: 'charge_list',
+                provider: 'coinbase',
+                error: error.response || error.message
+            });
+            throw error;
+        }
+    }
+
+    pagination(response, limit) {
+        const data = response.data || [];
+
+        return {
+            total: response.pagination?.total ?? null,
+            hasMore: !!response.pagination?.next_uri,
+            nextCursor: response.pagination?.next_uri && data.length ? data[data.length - 1].id : null,
+            limit
+        };
+    }
+
+    chargeResult(charge) {
+        const latest = charge.timeline?.[charge.timeline.length - 1];
+        const local = charge.pricing?.local;
+        const payments = (charge.payments || []).map(payment => this.paymentResult(payment));
+        const currency = local?.currency || payments[0]?.localCurrency || null;
+
+        // what actually arrived, can differ from the price on UNRESOLVED charges
+        const paid = payments
+            .filter(payment => payment.status === 'CONFIRMED' && payment.localCurrency === currency)
+            .reduce((sum, payment) => sum + Money.toMinor(payment.localAmount, currency, { allowZero: true }), 0);
+        const paidAmount = currency ? Money.toNumber(paid, currency) : null;
+
+        return {
+            provider: 'coinbase',
+            type: 'charge',
+            status: latest?.status,
+            // UNDERPAID, OVERPAID, DELAYED, MULTIPLE, MANUAL or OTHER on UNRESOLVED charges
+            context: latest?.context || null,
+            pricingType: charge.pricing_type || 'fixed_price',
+            hostedUrl: charge.hosted_url,
+            chargeId: charge.id,
+            chargeCode: charge.code,
+            checkoutId: charge.checkout?.id || null,
+            // no_price charges have no price, the paid amount is what counts
+            amount: local ? Money.parse(local.amount, local.currency) : (payments.length ? paidAmount : null),
+            currency,
+            paidAmount,
+            payments,
+            metadata: charge.metadata,
+            rawResponse: charge
+        };
+    }
+
+    // crypto amounts stay strings, they have more decimals than a number can hold
+    paymentResult(payment) {
+        const local = payment.value?.local;
+
+        return {
+            network: payment.network,
+            transactionId: payment.transaction_id,
+            status: payment.status,
+            amount: payment.value?.crypto?.amount ?? null,
+            cryptoCurrency: payment.value?.crypto?.currency ?? null,
+            localAmount: local ? Money.parse(local.amount, local.currency) : null,
+            localCurrency: local?.currency ?? null,
+            detectedAt: payment.detected_at || null
+        };
+    }
+
+    normalizeStatus(status) {
+        switch (status) {
+            case 'NEW':
+                return PaymentStatus.CREATED;
+            case 'SIGNED':
+            case 'PENDING':
+                return PaymentStatus.PENDING;
+            case 'COMPLETED':
+            case 'RESOLVED':
+                return PaymentStatus.COMPLETED;
+            case 'CANCELED':
+                return PaymentStatus.CANCELLED;
+            case 'EXPIRED':
+                return PaymentStatus.EXPIRED;
+            default:
+                return PaymentStatus.FAILED;
+        }
+    }
+
+    async createPayment({ returnUrl, ...params }) {
+        return this.toPayment(await this.createCharge({ ...params, redirectUrl: returnUrl }));
+    }
+
+    async verifyPayment(paymentId) {
+        return this.toPayment(await this.verifyCharge(paymentId));
+    }
+
+    async getPayment(paymentId) {
+        return this.toPayment(await this.getCharge(paymentId));
+    }
+
+    async cancelPayment(paymentId) {
+        return this.toPayment(await this.cancelCharge(paymentId));
+    }
+
+    toPayment(result) {
+        const providerStatus = result.status || result.rawResponse?.timeline?.[result.rawResponse.timeline.length - 1]?.status || null;
+
+        return {
+            provider: 'coinbase',
+            paymentId: result.chargeCode,
+            checkoutUrl: result.hostedUrl || null,
+            status: this.normalizeStatus(providerStatus),
+            providerStatus,
+            transactionId: result.chargeId,
+            amount: result.amount,
+            currency: result.currency,
+            metadata: result.metadata,
+            alreadyProcessed: result.alreadyProcessed || false,
+            result
+        };
+    }
+
+    // checkouts are reusable hosted pages for a product, every buyer gets their own charge.
+    // without a price the buyer picks the amount
+    async createCheckout({
+                             title,
+                             description = '',
+                             price = null,
+                             currency = 'EUR',
+                             minorUnits = false,
+                             requestedInfo = []
+                         } = {}) {
+        if (!title) throw new Error("missing title");
+
+        try {
+            const response = await this.call('/checkouts', {
+                method: 'POST',
+                body: {
+                    name: title.slice(0, 100),
+                    description,
+                    requested_info: requestedInfo,
+                    ...this.checkoutPrice(price, currency, minorUnits)
+                }
+            });
+
+            return this.checkoutResult(response.data);
+        } catch (error) {
+            this.parent.emit('onError', {
+                type: 'checkout_creation',
+                provider: 'coinbase',
+                error: error.response || error.message
+            });
+            throw error;
+        }
+    }
+
+    async getCheckout(checkoutId) {
+        try {
+            const response = await this.call(`/checkouts/${checkoutId}`);
+            return this.checkoutResult(response.data);
+        } catch (error) {
+            this.parent.emit('onError', {
+                type: 'checkout_lookup',
+                provider: 'coinbase',
+                checkoutId,
+                error: error.response || error.message
+            });
+            throw error;
+        }
+    }
+
+    async listCheckouts({ limit = 25, startingAfter = null, endingBefore = null, order = 'desc' } = {}) {
+        try {
+            const response = await this.call('/checkouts', {
+                params: { limit, starting_after: startingAfter, ending_before: endingBefore, order }
+            });
+
+            return {
+                provider: 'coinbase',
+                checkouts: response.data.map(checkout => this.checkoutResult(checkout)),
+                ...this.pagination(response, limit)
+            };
+        } catch (error) {
+            this.parent.emit('onError', {
+                type: 'checkout_list',
+                provider: 'coinbase',
+                error: error.response || error.message
+            });
+            throw error;
+        }
+    }
+
+    // only the fields you pass are changed, price: null turns it into a no_price checkout
+    async updateCheckout(checkoutId, { title, description, price, currency = 'EUR', minorUnits = false, requestedInfo } = {}) {
+        const body = {};
+        if (title !== undefined) body.name = title.slice(0, 100);
+        if (description !== undefined) body.description = description;
+        if (requestedInfo !== undefined) body.requested_info = requestedInfo;
+        if (price !== undefined) Object.assign(body, this.checkoutPrice(price, currency, minorUnits));
+
+        try {
+            const response = await this.call(`/checkouts/${checkoutId}`, { method: 'PUT', body });
+            return this.checkoutResult(response.data);
+        } catch (error) {
+            this.parent.emit('onError', {
+                type: 'checkout_update',
+                provider: 'coinbase',
+                checkoutId,
+                error: error.response || error.message
+            });
+            throw error;
+        }
+    }
+
+    async deleteCheckout(checkoutId) {
+        try {
+            await this.call(`/checkouts/${checkoutId}`, { method: 'DELETE' });
+            return { provider: 'coinbase', type: 'checkout', checkoutId, deleted: true };
+        } catch (error) {
+            this.parent.emit('onError', {
+                type: 'checkout_deletion',
+                provider: 'coinbase',
+                checkoutId,
+                error: error.response || error.message
+            });
+            throw error;
+        }
+    }
+
+    checkoutPrice(price, currency, minorUnits) {
+        if (price === null) return { pricing_type: 'no_price' };
+
+        currency = Money.currency(currency);
+        return {
+            pricing_type: 'fixed_price',
+            local_price: {
+                amount: Money.format(Money.toMinor(price, currency, { minorUnits, name: 'price' }), currency),
+                currency
+            }
+        };
+    }
+
+    checkoutResult(checkout) {
+        const local = checkout.local_price;
+
+        return {
+            provider: 'coinbase',
+            type: 'checkout',
+            checkoutId: checkout.id,
+            hostedUrl: `https://commerce.coinbase.com/checkout/${checkout.id}`,
+            title: checkout.name,
+            description: checkout.description,
+            pricingType: checkout.pricing_type,
+            amount: local ? Money.parse(local.amount, local.currency) : null,
+            currency: local?.currency || null,
+            requestedInfo: checkout.requested_info || [],
+            rawResponse: checkout
+        };
+    }
+
+    hasWebhook() {
+        return !!this.config.webhookSecret;
+    }
+
+    async handleWebhook(req) {
+        const payload = await this.parent.getRawBody(req);
+        const isValid = this.verifyWebhook(
+            payload,
+            req.headers['x-cc-webhook-signature'],
+            this.config.webhookSecret
+        );
+
+        if (!isValid) return false;
+
+        const event = JSON.parse(payload.toString('utf8')).event;
+        await this.handleWebhookEvent(event);
+
+        return true;
+    }
+
+    async handleWebhookEvent(event) {
+        const charge = event?.data;
+        if (!charge?.id) return null;
+
+        switch (event.type) {
+            // the charge in the event carries its full timeline, so its latest status decides the callback
+            case 'charge:confirmed':
+            case 'charge:resolved':
+            case 'charge:failed':
+            case 'charge:delayed':
+                return this.handleCharge(charge);
+
+            // created and pending have no callback, onPaymentCreated already fired in createCharge
+            case 'charge:created':
+            case 'charge:pending':
+                return this.chargeResult(charge);
+
+            default:
+                return null;
+        }
+    }
+
+    routes() {
+        const redirects = this.parent.redirects;
+
+        return [
+            {
+                method: 'get',
+                path: '/coinbase/verify',
+                handler: async (req, res) => {
+                    try {
+                        const chargeCode = req.query.code;
+                        if (!chargeCode) return res.status(400).json({ ok: false, error: 'missing_code' });
+
+                        const result = await this.parent.verifiedResult(this.verifyCharge(chargeCode));
+
+                        if (result.status === 'COMPLETED') {
+                            const query = this.parent.signRedirect({
+                                payment_id: result.chargeId,
+                                provider: 'coinbase',
+                                amount: result.amount,
+                                currency: result.currency
+                            });
+                            return res.redirect(`${redirects.success}?${query}`);
+                        } else {
+                            return res.redirect(redirects.error);
+                        }
+                    } catch (error) {
+                        return res.redirect(redirects.error);
+                    }
+                }
+            },
+            ...super.routes()
+        ];
+    }
+
+    verifyWebhook(payload, signature, secret) {
+        if (!signature || !secret) return false;
+
+        const hmac = crypto.createHmac('sha256', secret);
+        hmac.update(payload);
+
+        const computedSignature = hmac.digest();
+        const receivedSignature = Buffer.from(String(signature), 'hex');
+
+        return receivedSignature.length === computedSignature.length
+            && crypto.timingSafeEqual(receivedSignature, computedSignature);
+    }
+}
+
+class Stripe extends PaymentProvider {
+    constructor(parent, config, name = 'stripe') {
+        super(parent, config, name);
+        if (!config.secretKey) throw new Error("missing stripe.secretKey");
+
+        this.baseUrl = 'https://api.stripe.com/v1';
+        this.idempotencyHeader = 'Idempotency-Key';
+        this.signatureTolerance = config.signatureTolerance || 300;
+    }
+
+    // stripe expects form encoded bodies with nested keys like line_items[0][quantity]
+    encode(params, prefix = null, pairs = []) {
+        for (const [key, value] of Object.entries(params)) {
+            if (value === undefined || value === null) continue;
+
+            const name = prefix ? `${prefix}[${key}]` : key;
+
+            if (typeof value === 'object') {
+                this.encode(value, name, pairs);
+            } else {
+                pairs.push(`${encodeURIComponent(name)}=${encodeURIComponent(value)}`);
+            }
+        }
+
+        return pairs.join('&');
+    }
+
+    async call(path, { method = 'GET', params = null } = {}) {
+        const options = {
+            method,
+            headers: {
+                "Authorization": `Bearer ${this.config.secretKey}`
+            }
+        };
 
-                const purchaseUnit = orderResponse.purchase_units?.[0] || {};
+        if (params && method === 'GET') {
+            return this.request(`${this.baseUrl}${path}?${this.encode(params)}`, options);
+        }
 
-                let amount = 0;
-                let customId = purchaseUnit.custom_id;
+        if (params) {
+            options.headers["Content-Type"] = "application/x-www-form-urlencoded";
+            options.body = this.encode(params);
+        }
 
-                if (purchaseUnit.payments?.captures?.[0]) {
-                    amount = parseFloat(purchaseUnit.payments.captures[0].amount.value);
-                    customId = purchaseUnit.payments.captures[0].custom_id || purchaseUnit.custom_id;
-                } else if (purchaseUnit.amount?.value) {
-                    amount = parseFloat(purchaseUnit.amount.value);
-                }
+        return this.request(`${this.baseUrl}${path}`, options);
+    }
 
-                const metadata = this.parent.metadataCache.get(orderId) || {};
+    async createSession({
+                            title,
+                            description,
+                            price,
+                            quantity = 1,
+                            items = null,
+                            shipping = 0,
+                            handling = 0,
+                            taxTotal = null,
+                            discount = 0,
+                            currency = 'EUR',
+                            minorUnits = false,
+                            successUrl = `${this.parent.getUrl('/stripe/verify')}?session_id={CHECKOUT_SESSION_ID}`,
+                            cancelUrl = this.parent.getUrl('/cancel'),
+                            customId = this.parent.generateId(),
+                            metadata = {}
+                        }) {
+        const cart = this.parent.buildCart({ title, description, price, quantity, items, shipping, handling, taxTotal, discount, currency, minorUnits });
+        currency = cart.currency;
 
-                const result = {
-                    provider: 'paypal',
-                    type: 'order',
-                    status: orderStatus,
-                    transactionId: customId,
-                    orderId: orderResponse.id,
-                    amount: amount,
-                    currency: purchaseUnit.payments?.captures?.[0]?.amount?.currency_code || purchaseUnit.amount?.currency_code || 'EUR',
-                    metadata,
-                    rawResponse: orderResponse
-                };
+        // checkout only calculates tax from tax rates, a fixed amount would silently go missing
+        if (cart.taxTotal > 0) {
+            throw new ValidationError('stripe sessions take no fixed tax amounts, include the tax in the item prices', { provider: 'stripe' });
+        }
 
-                if (orderStatus === 'COMPLETED') {
-                    await this.parent.emit('onPaymentCompleted', result);
-                } else if (orderStatus === 'VOIDED' || orderStatus === 'CANCELLED') {
-                    await this.parent.emit('onPaymentCancelled', result);
-                } else {
-                    await this.parent.emit('onPaymentFailed', result);
+        const sessionData = {
+            mode: 'payment',
+            success_url: successUrl,
+            cancel_url: cancelUrl,
+            client_reference_id: customId,
+            // stripe takes unit amounts in minor units already
+            line_items: cart.items.map(item => ({
+                quantity: item.quantity,
+                price_data: {
+                    currency: currency.toLowerCase(),
+                    unit_amount: item.price,
+                    product_data: {
+                        name: item.title,
+                        description: item.description
+                    }
                 }
+            })),
+            payment_intent_data: {
+                metadata: { custom_id: customId }
+            }
+        };
 
-                this.parent.metadataCache.delete(orderId);
+        // stripe has a single shipping amount, so handling is charged with it
+        if (cart.shipping + cart.handling > 0) {
+            sessionData.shipping_options = [{
+                shipping_rate_data: {
+                    type: 'fixed_amount',
+                    display_name: cart.handling ? 'Shipping and handling' : 'Shipping',
+                    fixed_amount: { amount: cart.shipping + cart.handling, currency: currency.toLowerCase() }
+                }
+            }];
+        }
 
-                return result;
-            } catch (error) {
-                this.parent.emit('onError', {
-                    type: 'order_verification',
-                    provider: 'paypal',
-                    orderId,
-                    error: error.response || error.message
+        try {
+            // discounts need a coupon, this one can only be redeemed by this session
+            if (cart.discount > 0) {
+                const coupon = await this.call('/coupons', {
+                    method: 'POST',
+                    params: {
+                        amount_off: cart.discount,
+                        currency: currency.toLowerCase(),
+                        duration: 'once',
+                        max_redemptions: 1,
+                        name: 'Discount'
+                    }
                 });
-
-                this.parent.metadataCache.delete(orderId);
-
-                throw error;
+                sessionData.discounts = [{ coupon: coupon.id }];
             }
-        }
 
-        async createProduct(name, description) {
-            const accessToken = await this.getAccessToken();
+            const response = await this.call('/checkout/sessions', { method: 'POST', params: sessionData });
 
-            const productData = {
-                name: name,
-                description: description || name,
-                type: "SERVICE",
-                category: "SOFTWARE"
+            const result = {
+                provider: 'stripe',
+                type: 'session',
+                checkoutUrl: response.url,
+                transactionId: customId,
+                sessionId: response.id,
+                amount: Money.toNumber(cart.total, currency),
+                currency,
+                metadata,
+                rawResponse: response
             };
 
-            const response = await this.parent.request(
-                `${this.baseUrl}/v1/catalogs/products`,
-                {
-                    method: 'POST',
-                    headers: {
-                        "Content-Type": "application/json",
-                        "Authorization": `Bearer ${accessToken}`
-                    },
-                    body: productData
-                }
-            );
+            await this.parent.setMetadata(response.id, metadata);
+            await this.parent.setExpectedAmount('stripe', response.id, cart.total, currency);
 
-            return response.id;
+            await this.parent.emit('onPaymentCreated', result);
+            return result;
+        } catch (error) {
+            this.parent.emit('onError', {
+                type: 'session_creation',
+                provider: 'stripe',
+                error: error.response || error.message
+            });
+            throw error;
         }
+    }
 
-        async createPlan({
-                             name,
-                             description,
-                             price,
-                             currency = 'EUR',
-                             interval = 'MONTH',
-                             frequency = 1
-                         }) {
-            if (!name) throw new Error('missing name');
-            if (!price) throw new Error('missing price');
+    async createSubscription({
+                                 priceId,
+                                 title,
+                                 price,
+                                 currency = 'EUR',
+                                 minorUnits = false,
+                                 interval = 'MONTH',
+                                 frequency = 1,
+                                 quantity = 1,
+                                 successUrl = `${this.parent.getUrl('/stripe/verify')}?session_id={CHECKOUT_SESSION_ID}`,
+                                 cancelUrl = this.parent.getUrl('/cancel'),
+                                 customId = this.parent.generateId(),
+                                 metadata = {}
+                             }) {
+        if (!priceId && !title) throw new Error('missing priceId or title');
+        if (!priceId && (price === undefined || price === null)) throw new Error('missing price');
 
-            const accessToken = await this.getAccessToken();
-            const productId = await this.createProduct(name, description);
-
-            const planData = {
-                product_id: productId,
-                name: name,
-                description: description || name,
-                billing_cycles: [{
-                    frequency: {
-                        interval_unit: interval,
+        currency = Money.currency(currency);
+
+        // either an existing stripe price or an inline recurring price
+        const lineItem = priceId
+            ? { price: priceId, quantity }
+            : {
+                quantity,
+                price_data: {
+                    currency: currency.toLowerCase(),
+                    unit_amount: Money.toMinor(price, currency, { minorUnits, name: 'price' }),
+                    recurring: {
+                        interval: interval.toLowerCase(),
                         interval_count: frequency
                     },
-                    tenure_type: "REGULAR",
-                    sequence: 1,
-                    total_cycles: 0,
-                    pricing_scheme: {
-                        fixed_price: {
-                            value: price.toFixed(2),
-                            currency_code: currency
-                        }
+                    product_data: {
+                        name: title
                     }
-                }],
-                payment_preferences: {
-                    auto_bill_outstanding: true,
-                    payment_failure_threshold: 3
                 }
             };
 
-            try {
-                const response = await this.parent.request(
-                    `${this.baseUrl}/v1/billing/plans`,
-                    {
-                        method: 'POST',
-                        headers: {
-                            "Content-Type": "application/json",
-                            "Authorization": `Bearer ${accessToken}`
-                        },
-                        body: planData
-                    }
-                );
-
-                return {
-                    provider: 'paypal',
-                    type: 'subscription_plan',
-                    planId: response.id,
-                    name,
-                    price: parseFloat(price),
-                    currency,
-                    interval,
-                    frequency,
-                    rawResponse: response
-                };
-            } catch (error) {
-                this.parent.emit('onError', {
-                    type: 'plan_creation',
-                    provider: 'paypal',
-                    error: error.response || error.message
-                });
-                throw error;
+        const sessionData = {
+            mode: 'subscription',
+            success_url: successUrl,
+            cancel_url: cancelUrl,
+            client_reference_id: customId,
+            line_items: [lineItem],
+            subscription_data: {
+                metadata: { custom_id: customId }
             }
-        }
-
-        async createSubscription({
-                                     planId,
-                                     returnUrl = this.parent.getUrl('/paypal/subscription/verify'),
-                                     cancelUrl = this.parent.getUrl('/cancel'),
-                                     customId = this.parent.generateId(),
-                                     metadata = {}
-                                 }) {
-            if (!planId) throw new Error('missing planId');
+        };
 
-            const accessToken = await this.getAccessToken();
+        try {
+            const response = await this.call('/checkout/sessions', { method: 'POST', params: sessionData });
 
-            const subscriptionData = {
-                plan_id: planId,
-                custom_id: customId,
-                application_context: {
-                    return_url: returnUrl,
-                    cancel_url: cancelUrl
-                }
+            const result = {
+                provider: 'stripe',
+                type: 'subscription',
+                checkoutUrl: response.url,
+                transactionId: customId,
+                sessionId: response.id,
+                priceId: priceId || null,
+                metadata,
+                rawResponse: response
             };
 
-            try {
-                const response = await this.parent.request(
-                    `${this.baseUrl}/v1/billing/subscriptions`,
-                    {
-                        method: 'POST',
-                        headers: {
-                            "Content-Type": "application/json",
-                            "Authorization": `Bearer ${accessToken}`
-                        },
-                        body: subscriptionData
-                    }
-                );
-
-                const approvalUrl = response.links.find(link => link.rel === "approve").href;
+            await this.parent.setMetadata(response.id, metadata);
 
-                const result = {
-                    provider: 'paypal',
-                    type: 'subscription',
-                    approvalUrl,
-                    transactionId: customId,
-                    subscriptionId: response.id,
-                    planId,
-                    metadata,
-                    rawResponse: response
-                };
+            this.parent.emit('onSubscriptionCreated', result);
+            return result;
+        } catch (error) {
+            this.parent.emit('onError', {
+                type: 'subscription_creation',
+                provider: 'stripe',
+                error: error.response || error.message
+            });
+            throw error;
+        }
+    }
 
-                this.parent.metadataCache.set(response.id, metadata);
+    sessionStatus(session) {
+        if (session.status === 'expired') return 'EXPIRED';
+        if (session.status === 'open') return 'OPEN';
+        if (session.payment_status === 'paid' || session.payment_status === 'no_payment_required') return 'COMPLETED';
+        return 'PENDING';
+    }
 
-                setTimeout(() => {
-                    this.parent.metadataCache.delete(response.id);
-                }, 60 * 60 * 1000);
+    sessionResult(session, metadata = {}) {
+        return {
+            provider: 'stripe',
+            type: session.mode === 'subscription' ? 'subscription' : 'session',
+            status: this.sessionStatus(session),
+            transactionId: session.client_reference_id,
+            sessionId: session.id,
+            checkoutUrl: session.url || null,
+            paymentIntentId: typeof session.payment_intent === 'object' ? session.payment_intent?.id : session.payment_intent,
+            subscriptionId: typeof session.subscription === 'object' ? session.subscription?.id : session.subscription,
+            amount: session.amount_total != null ? Money.toNumber(session.amount_total, session.currency) : 0,
+            currency: session.currency ? session.currency.toUpperCase() : 'EUR',
+            metadata,
+            rawResponse: session
+        };
+    }
 
-                this.parent.emit('onSubscriptionCreated', result);
-                return result;
-            } catch (error) {
-                this.parent.emit('onError', {
-                    type: 'subscription_creation',
-                    provider: 'paypal',
-                    error: error.response || error.message
-                });
-                throw error;
-            }
+    async getSession(sessionId) {
+        try {
+            const session = await this.call(`/checkout/sessions/${sessionId}`);
+            return this.sessionResult(session, await this.parent.getMetadata(sessionId));
+        } catch (error) {
+            this.parent.emit('onError', {
+                type: 'session_lookup',
+                provider: 'stripe',
+                sessionId,
+                error: error.response || error.message
+            });
+            throw error;
         }
+    }
 
-        async verifySubscription(subscriptionId) {
-            const accessToken = await this.getAccessToken();
+    async verifySession(sessionId) {
+        try {
+            const session = await this.call(`/checkout/sessions/${sessionId}`);
+            return await this.handleSession(session);
+        } catch (error) {
+            this.parent.emit('onError', {
+                type: 'session_verification',
+                provider: 'stripe',
+                sessionId,
+                error: error.response || error.message
+            });
+            throw error;
+        }
+    }
 
-            try {
-                const response = await this.parent.request(
-                    `${this.baseUrl}/v1/billing/subscriptions/${subscriptionId}`,
-                    {
-                        headers: {
-                            "Authorization": `Bearer ${accessToken}`
-                        }
-                    }
-                );
+    async handleSession(session) {
+        const metadata = await this.parent.getMetadata(session.id);
+        const result = this.sessionResult(session, metadata);
 
-                const metadata = this.parent.metadataCache.get(subscriptionId) || {};
+        if (result.status === 'COMPLETED' && result.type !== 'subscription') {
+            await this.parent.checkAmount(result, session.id);
+        }
 
-                const result = {
-                    provider: 'paypal',
-                    type: 'subscription',
-                    status: response.status,
-                    subscriptionId: response.id,
-                    planId: response.plan_id,
-                    customId: response.custom_id,
-                    metadata,
-                    rawResponse: response
-                };
+        if (result.status === 'AMOUNT_MISMATCH') {
+            await this.parent.emitOnce('onPaymentFailed', session.id, result);
+        } else if (result.status === 'COMPLETED') {
+            const event = result.type === 'subscription' ? 'onSubscriptionActivated' : 'onPaymentCompleted';
+            await this.parent.emitOnce(event, session.id, result);
+        } else if (result.status === 'EXPIRED') {
+            await this.parent.emitOnce('onPaymentFailed', session.id, result);
+        }
 
-                if (response.status === 'ACTIVE') {
-                    await this.parent.emit('onSubscriptionActivated', result);
-                } else if (response.status === 'CANCELLED') {
-                    await this.parent.emit('onSubscriptionCancelled', result);
-                }
+        // subscription metadata stays around for later cancellations
+        if (result.type !== 'subscription' && result.status !== 'OPEN' && result.status !== 'PENDING') {
+            await this.parent.deleteMetadata(session.id);
+        }
 
-                this.parent.metadataCache.delete(subscriptionId);
+        return result;
+    }
 
-                return result;
-            } catch (error) {
-                this.parent.emit('onError', {
-                    type: 'subscription_verification',
-                    provider: 'paypal',
-                    subscriptionId,
-                    error: error.response || error.message
-                });
+    async expireSession(sessionId) {
+        try {
+            const session = await this.call(`/checkout/sessions/${sessionId}/expire`, { method: 'POST' });
+            const result = this.sessionResult(session, await this.parent.getMetadata(sessionId));
+            result.status = 'CANCELLED';
 
-                this.parent.metadataCache.delete(subscriptionId);
+            await this.parent.emitOnce('onPaymentCancelled', sessionId, result);
+            await this.parent.deleteMetadata(sessionId);
 
-                throw error;
-            }
+            return result;
+        } catch (error) {
+            this.parent.emit('onError', {
+                type: 'session_cancellation',
+                provider: 'stripe',
+                sessionId,
+                error: error.response || error.message
+            });
+            throw error;
         }
+    }
 
-        async cancelSubscription(subscriptionId, reason = 'customer request') {
-            const accessToken = await this.getAccessToken();
-
-            try {
-                await this.parent.request(
-                    `${this.baseUrl}/v1/billing/subscriptions/${subscriptionId}/cancel`,
-                    {
-                        method: 'POST',
-                        headers: {
-                            "Content-Type": "application/json",
-                            "Authorization": `Bearer ${accessToken}`
-                        },
-                        body: { reason }
-                    }
-                );
+    async refundSession({ sessionId, paymentIntentId, amount, minorUnits = false, reason = 'refund' }) {
+        if (!sessionId && !paymentIntentId) throw new Error('missing sessionId or paymentIntentId');
 
-                const metadata = this.parent.metadataCache.get(subscriptionId) || {};
+        try {
+            let currency = null;
 
-                const result = {
-                    provider: 'paypal',
-                    type: 'subscription',
-                    subscriptionId,
-                    status: 'CANCELLED',
-                    reason,
-                    metadata
-                };
+            if (!paymentIntentId || amount) {
+                const source = sessionId
+                    ? await this.call(`/checkout/sessions/${sessionId}`)
+                    : await this.call(`/payment_intents/${paymentIntentId}`);
 
-                this.parent.metadataCache.delete(subscriptionId);
+                paymentIntentId = paymentIntentId || source.payment_intent;
+                currency = source.currency;
+                if (!paymentIntentId) throw new Error('session has no payment to refund');
+            }
 
-                await this.parent.emit('onSubscriptionCancelled', result);
-                return result;
-            } catch (error) {
-                this.parent.emit('onError', {
-                    type: 'subscription_cancellation',
-                    provider: 'paypal',
-                    subscriptionId,
-                    error: error.response || error.message
-                });
+            const response = await this.call('/refunds', {
+                method: 'POST',
+                params: {
+                    payment_intent: paymentIntentId,
+                    amount: amount ? Money.toMinor(amount, currency, { minorUnits }) : undefined,
+                    metadata: { reason }
+                }
+            });
 
-                this.parent.metadataCache.delete(subscriptionId);
+            const result = this.refundResult(response, { sessionId: sessionId || null, paymentIntentId, reason });
 
-                throw error;
-            }
+            await this.parent.emitOnce('onPaymentRefunded', response.id, result);
+            return result;
+        } catch (error) {
+            this.parent.emit('onError', {
+                type: 'refund',
+                provider: 'stripe',
+                sessionId,
+                paymentIntentId,
+                error: error.response || error.message
+            });
+            throw error;
         }
     }
 
-    Coinbase = class {
-        constructor(parent, config) {
-            this.parent = parent;
-            this.config = config;
-            this.baseUrl = 'https://api.commerce.coinbase.com';
-        }
-
-        async createCharge({
-                               title,
-                               description = 'no description',
-                               price,
-                               quantity = 1,
-                               currency = 'EUR',
-                               redirectUrl = this.parent.getUrl('/coinbase/verify'),
-                               cancelUrl = this.parent.getUrl('/cancel'),
-                               metadata = {}
-                           }) {
-            if (!title) throw new Error('missing title');
-            if (!price) throw new Error('missing price');
+    // amount is what this one refund gave back, not the total refunded on the charge
+    refundResult(refund, extra = {}) {
+        return {
+            provider: 'stripe',
+            type: 'refund',
+            status: refund.status === 'succeeded' ? 'COMPLETED' : refund.status.toUpperCase(),
+            refundId: refund.id,
+            sessionId: null,
+            paymentIntentId: refund.payment_intent || null,
+            amount: Money.toNumber(refund.amount, refund.currency),
+            currency: refund.currency.toUpperCase(),
+            reason: refund.metadata?.reason || refund.reason || null,
+            metadata: {},
+            rawResponse: refund,
+            ...extra
+        };
+    }
 
-            const totalAmount = (price * quantity).toFixed(2);
+    async cancelSubscription(subscriptionId) {
+        try {
+            const response = await this.call(`/subscriptions/${subscriptionId}`, { method: 'DELETE' });
 
-            const chargeData = {
-                name: title,
-                description: description,
-                pricing_type: "fixed_price",
-                metadata: metadata,
-                local_price: {
-                    amount: totalAmount,
-                    currency: currency
-                },
-                redirect_url: redirectUrl,
-                cancel_url: cancelUrl
+            const result = {
+                provider: 'stripe',
+                type: 'subscription',
+                subscriptionId,
+                status: 'CANCELLED',
+                metadata: {},
+                rawResponse: response
             };
 
-            try {
-                const response = await this.parent.request(
-                    `${this.baseUrl}/charges`,
-                    {
-                        method: 'POST',
-                        headers: {
-                            "Content-Type": "application/json",
-                            "X-CC-Api-Key": this.config.apiKey,
-                            "X-CC-Version": "2018-03-22"
-                        },
-                        body: chargeData
-                    }
-                );
+            await this.parent.emit('onSubscriptionCancelled', result);
+            return result;
+        } catch (error) {
+            this.parent.emit('onError', {
+                type: 'subscription_cancellation',
+                provider: 'stripe',
+                subscriptionId,
+                error: error.response || error.message
+            });
+            throw error;
+        }
+    }
 
-                const charge = response.data;
+    normalizeStatus(status) {
+        switch (status) {
+            case 'OPEN':
+                return PaymentStatus.CREATED;
+            case 'PENDING':
+                return PaymentStatus.PENDING;
+            case 'COMPLETED':
+                return PaymentStatus.COMPLETED;
+            case 'CANCELLED':
+                return PaymentStatus.CANCELLED;
+            case 'EXPIRED':
+                return PaymentStatus.EXPIRED;
+            default:
+                return PaymentStatus.FAILED;
+        }
+    }
 
-                const result = {
-                    provider: 'coinbase',
-                    type: 'charge',
-                    hostedUrl: charge.hosted_url,
-                    chargeId: charge.id,
-                    chargeCode: charge.code,
-                    amount: parseFloat(totalAmount),
-                    currency,
-                    metadata,
-                    rawResponse: charge
-                };
+    async createPayment({ returnUrl, ...params }) {
+        return this.toPayment(await this.createSession({ ...params, successUrl: returnUrl }));
+    }
 
-                this.parent.emit('onPaymentCreated', result);
-                return result;
-            } catch (error) {
-                this.parent.emit('onError', {
-                    type: 'charge_creation',
-                    provider: 'coinbase',
-                    error: error.response || error.message
-                });
-                throw error;
-            }
-        }
+    async verifyPayment(paymentId) {
+        return this.toPayment(await this.verifySession(paymentId));
+    }
 
-        async verifyCharge(chargeId) {
-            try {
-                const response = await this.parent.request(
-                    `${this.baseUrl}/charges/${chargeId}`,
-                    {
-                        headers: {
-                            "Content-Type": "application/json",
-                            "X-CC-Api-Key": this.config.apiKey,
-                            "X-CC-Version": "2018-03-22"
-                        }
-                    }
-                );
+    async getPayment(paymentId) {
+        return this.toPayment(await this.getSession(paymentId));
+    }
 
-                const charge = response.data;
-                const latestStatus = charge.timeline[charge.timeline.length - 1]?.status;
+    async cancelPayment(paymentId) {
+        return this.toPayment(await this.expireSession(paymentId));
+    }
 
-                const result = {
-                    provider: 'coinbase',
-                    type: 'charge',
-                    status: latestStatus,
-                    chargeId: charge.id,
-                    chargeCode: charge.code,
-                    amount: parseFloat(charge.pricing.local.amount),
-                    currency: charge.pricing.local.currency,
-                    metadata: charge.metadata,
-                    rawResponse: charge
-                };
+    async refundPayment({ paymentId, amount, reason }) {
+        return this.refundSession({ sessionId: paymentId, amount, reason });
+    }
 
-                if (latestStatus === 'COMPLETED') {
-                    await this.parent.emit('onPaymentCompleted', result);
-                } else if (latestStatus === 'CANCELED') {
-                    await this.parent.emit('onPaymentCancelled', result);
-                } else if (latestStatus === 'EXPIRED' || latestStatus === 'UNRESOLVED') {
-                    await this.parent.emit('onPaymentFailed', result);
-                }
+    toPayment(result) {
+        const providerStatus = result.status || this.sessionStatus(result.rawResponse);
 
-                return result;
-            } catch (error) {
-                this.parent.emit('onError', {
-                    type: 'charge_verification',
-                    provider: 'coinbase',
-                    chargeId,
-                    error: error.response || error.message
-                });
-                throw error;
-            }
-        }
+        return {
+            provider: 'stripe',
+            paymentId: result.sessionId,
+            checkoutUrl: result.checkoutUrl || null,
+            status: this.normalizeStatus(providerStatus),
+            providerStatus,
+            transactionId: result.transactionId,
+            amount: result.amount,
+            currency: result.currency,
+            metadata: result.metadata,
+            alreadyProcessed: result.alreadyProcessed || false,
+            result
+        };
+    }
 
-        verifyWebhook(payload, signature, secret) {
-            const hmac = crypto.createHmac('sha256', secret);
-            hmac.update(payload);
-            const computedSignature = hmac.digest('hex');
-            return computedSignature === signature;
-        }
+    hasWebhook() {
+        return !!this.config.webhookSecret;
     }
 
-    registerRedirectRoutes() {
-        this.app.get(this.redirects.success, (req, res) => {
-            const query = new URLSearchParams({ ...req.query, status: 'success' }).toString();
-            return res.redirect(`${this.basePath}/payment-status.html?${query}`);
-        });
+    // Stripe-Signature is "t=timestamp,v1=signature" where the signature is an hmac of "timestamp.body"
+    verifyWebhook(payload, header, secret) {
+        if (!header) return false;
 
-        this.app.get(this.redirects.error, (req, res) => {
-            const query = new URLSearchParams({ ...req.query, status: 'error' }).toString();
-            return res.redirect(`${this.basePath}/payment-status.html?${query}`);
-        });
+        const parts = header.split(',').map(part => part.split('='));
+        const timestamp = parts.find(([key]) => key === 't')?.[1];
+        const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value);
 
-        this.app.get(this.redirects.cancelled, (req, res) => {
-            const query = new URLSearchParams({ ...req.query, status: 'cancelled' }).toString();
-            return res.redirect(`${this.basePath}/payment-status.html?${query}`);
-        });
+        if (!timestamp || signatures.length === 0) return false;
+        if (Math.abs(Math.floor(Date.now() / 1000) - Number(timestamp)) > this.signatureTolerance) return false;
 
-        this.app.get(this.redirects.subscriptionSuccess, (req, res) => {
-            const query = new URLSearchParams({ ...req.query, status: 'success', type: 'subscription' }).toString();
-            return res.redirect(`${this.basePath}/payment-status.html?${query}`);
-        });
+        const expected = crypto.createHmac('sha256', secret)
+            .update(`${timestamp}.`)
+            .update(payload)
+            .digest();
 
-        this.app.get(this.redirects.subscriptionError, (req, res) => {
-            const query = new URLSearchParams({ ...req.query, status: 'error', type: 'subscription' }).toString();
-            return res.redirect(`${this.basePath}/payment-status.html?${query}`);
+        return signatures.some(signature => {
+            const received = Buffer.from(signature, 'hex');
+            return received.length === expected.length && crypto.timingSafeEqual(received, expected);
         });
     }
 
-    registerRoutes(basePath = '/payments') {
-        if (this.paypal) {
-            this.app.get(`${basePath}/paypal/verify`, async (req, res) => {
-                try {
-                    const orderId = req.query.token;
-                    if (!orderId) return res.status(400).json({ ok: false, error: 'missing_token' });
-
-                    const result = await this.paypal.verifyOrder(orderId);
-
-                    if (result.status === 'COMPLETED') {
-                        const query = new URLSearchParams({
-                            payment_id: orderId,
-                            provider: 'paypal',
-                            amount: result.amount,
-                            currency: result.currency
-                        }).toString();
-                        return res.redirect(`${this.redirects.success}?${query}`);
-                    } else {
-                        return res.redirect(this.redirects.error);
-                    }
-                } catch (error) {
-                    return res.redirect(this.redirects.error);
-                }
-            });
+    async handleWebhook(req) {
+        const payload = await this.parent.getRawBody(req);
+        const isValid = this.verifyWebhook(payload, req.headers['stripe-signature'], this.config.webhookSecret);
+        if (!isValid) return false;
 
-            this.app.get(`${basePath}/paypal/subscription/verify`, async (req, res) => {
-                try {
-                    const subscriptionId = req.query.subscription_id;
-                    if (!subscriptionId) return res.status(400).json({ ok: false, error: 'missing_subscription_id' });
-
-                    const result = await this.paypal.verifySubscription(subscriptionId);
-
-                    if (result.status === 'ACTIVE') {
-                        const query = new URLSearchParams({
-                            payment_id: subscriptionId,
-                            provider: 'paypal'
-                        }).toString();
-                        return res.redirect(`${this.redirects.subscriptionSuccess}?${query}`);
-                    } else {
-                        return res.redirect(this.redirects.subscriptionError);
-                    }
-                } catch (error) {
-                    return res.redirect(this.redirects.subscriptionError);
-                }
-            });
+        const event = JSON.parse(payload.toString('utf8'));
+        await this.handleWebhookEvent(event);
+        return true;
+    }
 
-            this.app.get(`${basePath}/cancel`, async (req, res) => {
-                const orderId = req.query.token;
-                if (orderId) {
-                    try {
-                        await this.paypal.verifyOrder(orderId);
-                    } catch (e) {}
+    async handleWebhookEvent(event) {
+        const object = event.data?.object || {};
+
+        switch (event.type) {
+            case 'checkout.session.completed':
+            case 'checkout.session.async_payment_succeeded':
+            case 'checkout.session.expired':
+                return this.handleSession(object);
+
+            case 'checkout.session.async_payment_failed': {
+                const result = this.sessionResult(object, await this.parent.getMetadata(object.id));
+                result.status = 'FAILED';
+                await this.parent.emitOnce('onPaymentFailed', object.id, result);
+                return result;
+            }
+
+            // one event per refund, charge.refunded only has the running total and
+            // no longer lists the refunds. failed and cancelled refunds gave nothing back
+            case 'refund.created':
+            case 'refund.updated':
+            case 'charge.refund.updated': {
+                const result = this.refundResult(object);
+                if (object.status === 'succeeded' || object.status === 'pending') {
+                    await this.parent.emitOnce('onPaymentRefunded', object.id, result);
                 }
-                return res.redirect(this.redirects.cancelled);
-            });
+                return result;
+            }
+
+            case 'customer.subscription.deleted': {
+                const result = {
+                    provider: 'stripe',
+                    type: 'subscription',
+                    status: 'CANCELLED',
+                    subscriptionId: object.id,
+                    customId: object.metadata?.custom_id,
+                    metadata: {},
+                    rawResponse: object
+                };
+                await this.parent.emitOnce('onSubscriptionCancelled', object.id, result);
+                return result;
+            }
+
+            case 'invoice.payment_failed': {
+                const result = {
+                    provider: 'stripe',
+                    type: 'subscription',
+                    status: 'PAYMENT_FAILED',
+                    subscriptionId: object.subscription,
+                    amount: Money.toNumber(object.amount_due, object.currency),
+                    currency: object.currency.toUpperCase(),
+                    metadata: {},
+                    rawResponse: object
+                };
+                await this.parent.emit('onSubscriptionPaymentFailed', result);
+                return result;
+            }
+
+            default:
+                return null;
         }
+    }
 
-        if (this.coinbase) {
-            this.app.get(`${basePath}/coinbase/verify`, async (req, res) => {
-                try {
-                    const chargeCode = req.query.code;
-                    if (!chargeCode) return res.status(400).json({ ok: false, error: 'missing_code' });
-
-                    const result = await this.coinbase.verifyCharge(chargeCode);
-
-                    if (result.status === 'COMPLETED') {
-                        const query = new URLSearchParams({
-                            payment_id: result.chargeId,
-                            provider: 'coinbase',
-                            amount: result.amount,
-                            currency: result.currency
-                        }).toString();
-                        return res.redirect(`${this.redirects.success}?${query}`);
-                    } else {
-                        return res.redirect(this.redirects.error);
-                    }
-                } catch (error) {
-                    return res.redirect(this.redirects.error);
-                }
-            });
+    routes() {
+        const redirects = this.parent.redirects;
 
-            if (this.coinbase.config.webhookSecret) {
-                this.app.post(`${basePath}/webhook/coinbase`, async (req, res) => {
-                    try {
-                        const signature = req.headers['x-cc-webhook-signature'];
-                        const isValid = this.coinbase.verifyWebhook(
-                            JSON.stringify(req.body),
-                            signature,
-                            this.coinbase.config.webhookSecret
-                        );
+        return [
+            {
+                method: 'get',
+                path: '/stripe/verify',
+                handler: async (req, res) => {
+                    const sessionId = req.query.session_id;
+                    if (!sessionId) return res.status(400).json({ ok: false, error: 'missing_session_id' });
 
-                        if (!isValid) return res.status(401).json({ ok: false, error: 'invalid_signature' });
+                    let isSubscription = false;
 
-                        const event = req.body;
+                    try {
+                        const result = await this.parent.verifiedResult(this.verifySession(sessionId));
+                        isSubscription = result.type === 'subscription';
 
-                        if (event.event.type === 'charge:confirmed') {
-                            const chargeId = event.event.data.id;
-                            await this.coinbase.verifyCharge(chargeId);
+                        if (result.status === 'COMPLETED') {
+                            const query = this.parent.signRedirect({
+                                payment_id: sessionId,
+                                provider: 'stripe',
+                                ...(isSubscription ? { type: 'subscription' } : { amount: result.amount, currency: result.currency })
+                            });
+                            return res.redirect(`${isSubscription ? redirects.subscriptionSuccess : redirects.success}?${query}`);
+                        } else {
+                            return res.redirect(isSubscription ? redirects.subscriptionError : redirects.error);
                         }
-
-                        res.status(200).json({ ok: true });
                     } catch (error) {
-                        res.status(500).json({ ok: false, error: 'webhook_error' });
+                        return res.redirect(isSubscription ? redirects.subscriptionError : redirects.error);
                     }
-                });
-            }
-        }
-
-        return this;
+                }
+            },
+            ...super.routes()
+        ];
     }
-}
\ No newline at end of file
+}
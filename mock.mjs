@@ -0,0 +1,863 @@
+import crypto from "crypto";
+
+// in-process stand-in for the paypal and coinbase apis. dSyncPay sends its api calls
+// here when created with mock: true, tests script what the buyer does and the mock
+// answers the way the real api would. see "Testing without providers" in the README.
+
+function json(status, body) {
+    return { status, body };
+}
+
+function notFound(name = 'RESOURCE_NOT_FOUND') {
+    return json(404, { name, message: 'The specified resource does not exist.', debug_id: 'mock' });
+}
+
+function unprocessable(issue) {
+    return json(422, {
+        name: 'UNPROCESSABLE_ENTITY',
+        message: 'The requested action could not be performed, semantically incorrect, or failed business validation.',
+        debug_id: 'mock',
+        details: [{ issue, description: issue.toLowerCase().replace(/_/g, ' ') }]
+    });
+}
+
+// amounts stay strings like the apis send them, math happens on integers
+function toMinor(value, decimals) {
+    const [whole, fraction = ''] = String(value).split('.');
+    return Number(whole + fraction.padEnd(decimals, '0').slice(0, decimals));
+}
+
+function fromMinor(minor, decimals) {
+    if (!decimals) return String(minor);
+    const text = String(Math.abs(minor)).padStart(decimals + 1, '0');
+    return `${minor < 0 ? '-' : ''}${text.slice(0, -decimals)}.${text.slice(-decimals)}`;
+}
+
+function decimalsOf(value) {
+    return (String(value).split('.')[1] || '').length;
+}
+
+function withQuery(url, params) {
+    return `${url}${url.includes('?') ? '&' : '?'}${new URLSearchParams(params).toString()}`;
+}
+
+export class MockServer {
+    constructor() {
+        this.payments = null;
+        this.counter = 0;
+        this.requests = [];
+
+        this.paypal = new MockPayPal(this);
+        this.coinbase = new MockCoinbase(this);
+
+        this.fetch = this.fetch.bind(this);
+    }
+
+    attach(payments) {
+        this.payments = payments;
+        return this;
+    }
+
+    nextId(prefix, length = 17) {
+        this.counter++;
+        const random = crypto.randomBytes(8).toString('hex').toUpperCase();
+        return `${prefix}${String(this.counter).padStart(4, '0')}${random}`.slice(0, prefix.length + length);
+    }
+
+    // same signature as fetch, so it can be used wherever fetch is
+    async fetch(url, options = {}) {
+        const { hostname, pathname, searchParams } = new URL(url);
+        const method = (options.method || 'GET').toUpperCase();
+        const headers = Object.fromEntries(Object.entries(options.headers || {}).map(([key, value]) => [key.toLowerCase(), value]));
+
+        let body = {};
+        if (options.body) {
+            try {
+                body = JSON.parse(options.body);
+            } catch (e) {
+                body = Object.fromEntries(new URLSearchParams(options.body));
+            }
+        }
+
+        this.requests.push({ method, url, headers, body });
+
+        let api = null;
+        if (hostname.endsWith('paypal.com')) api = this.paypal;
+        if (hostname.endsWith('coinbase.com')) api = this.coinbase;
+
+        const result = api
+            ? api.handle(method, pathname, { body, headers, query: Object.fromEntries(searchParams) })
+            : json(501, { error: { type: 'not_emulated', message: `the mock server does not emulate ${hostname}` } });
+
+        return new Response(result.body === null ? null : JSON.stringify(result.body), {
+            status: result.status,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+
+    // runs the route registered for a url like a buyer's browser or a provider would.
+    // resolves with what the handler sent, redirects are not followed
+    async visit(url, { method = 'GET', headers = {}, body = undefined } = {}) {
+        if (!this.payments) throw new Error("mock server is not attached to dSyncPay");
+
+        const { pathname, searchParams } = new URL(url, 'http://localhost');
+        const route = this.payments.matchRoute(method.toLowerCase(), pathname);
+        if (!route) return { status: 404, headers: {}, body: null, location: null };
+
+        const rawBody = body === undefined ? undefined : Buffer.from(typeof body === 'string' ? body : JSON.stringify(body));
+        let parsedBody = {};
+        try {
+            parsedBody = rawBody ? JSON.parse(rawBody.toString('utf8')) : {};
+        } catch (e) {}
+
+        const req = {
+            method: method.toUpperCase(),
+            url: pathname + (searchParams.size ? `?${searchParams}` : ''),
+            path: pathname,
+            query: Object.fromEntries(searchParams),
+            params: route.params,
+            headers: Object.fromEntries(Object.entries(headers).map(([key, value]) => [key.toLowerCase(), value])),
+            body: parsedBody,
+            rawBody
+        };
+
+        const out = { status: 200, headers: {}, body: null, location: null };
+        const res = {
+            status(code) {
+                out.status = code;
+                return res;
+            },
+            set(name, value) {
+                out.headers[name.toLowerCase()] = value;
+                return res;
+            },
+            setHeader(name, value) {
+                out.headers[name.toLowerCase()] = value;
+            },
+            type(value) {
+                out.headers['content-type'] = value;
+                return res;
+            },
+            json(data) {
+                out.body = data;
+                return res;
+            },
+            send(data) {
+                out.body = data;
+                return res;
+            },
+            sendFile(file) {
+                out.file = file;
+                return res;
+            },
+            redirect(codeOrUrl, maybeUrl) {
+                out.status = maybeUrl ? codeOrUrl : 302;
+                out.location = maybeUrl || codeOrUrl;
+                return res;
+            },
+            end() {
+                return res;
+            }
+        };
+
+        await route.handler(req, res);
+        return out;
+    }
+
+    webhookPath(provider) {
+        return `${this.payments.basePath}/webhook/${provider}`;
+    }
+}
+
+class MockPayPal {
+    constructor(server) {
+        this.server = server;
+        this.orders = new Map();
+        this.captures = new Map();
+        this.refunds = new Map();
+        this.products = new Map();
+        this.plans = new Map();
+        this.subscriptions = new Map();
+        this.transmissions = new Set();
+        this.idempotent = new Map();
+    }
+
+    link(rel, href, method = 'GET') {
+        return { rel, href, method };
+    }
+
+    // a POST repeated with the same PayPal-Request-Id gets the first response again
+    handle(method, path, { body, query, headers = {} }) {
+        const requestId = method === 'POST' ? headers['paypal-request-id'] : null;
+        if (requestId && this.idempotent.has(requestId)) return this.idempotent.get(requestId);
+
+        const result = this.route(method, path, { body, query });
+        if (requestId && result.status < 300) this.idempotent.set(requestId, result);
+        return result;
+    }
+
+    route(method, path, { body, query }) {
+        const routes = [
+            ['POST', /^\/v1\/oauth2\/token$/, () => json(200, {
+                access_token: this.server.nextId('A21AA', 40),
+                token_type: 'Bearer',
+                expires_in: 32400
+            })],
+
+            ['POST', /^\/v2\/checkout\/orders$/, () => this.createOrder(body)],
+            ['GET', /^\/v2\/checkout\/orders\/([^/]+)$/, id => this.orders.has(id) ? json(200, this.orders.get(id)) : notFound()],
+            ['POST', /^\/v2\/checkout\/orders\/([^/]+)\/capture$/, id => this.captureOrder(id)],
+            ['GET', /^\/v2\/payments\/captures\/([^/]+)$/, id => this.captures.has(id) ? json(200, this.captures.get(id)) : notFound()],
+            ['POST', /^\/v2\/payments\/captures\/([^/]+)\/refund$/, id => this.refundCapture(id, body)],
+
+            ['POST', /^\/v1\/catalogs\/products$/, () => this.createProduct(body)],
+            ['GET', /^\/v1\/catalogs\/products$/, () => json(200, { products: this.page([...this.products.values()], query) })],
+            ['GET', /^\/v1\/catalogs\/products\/([^/]+)$/, id => this.products.has(id) ? json(200, this.products.get(id)) : notFound()],
+
+            ['POST', /^\/v1\/billing\/plans$/, () => this.createPlan(body)],
+            ['GET', /^\/v1\/billing\/plans$/, () => json(200, {
+                plans: this.page([...this.plans.values()].filter(plan => !query.product_id || plan.product_id === query.product_id), query)
+            })],
+            ['GET', /^\/v1\/billing\/plans\/([^/]+)$/, id => this.plans.has(id) ? json(200, this.plans.get(id)) : notFound()],
+            ['POST', /^\/v1\/billing\/plans\/([^/]+)\/update-pricing-schemes$/, id => this.updatePricing(id, body)],
+            ['POST', /^\/v1\/billing\/plans\/([^/]+)\/deactivate$/, id => this.setPlanStatus(id, 'INACTIVE')],
+
+            ['POST', /^\/v1\/billing\/subscriptions$/, () => this.createSubscription(body)],
+            ['GET', /^\/v1\/billing\/subscriptions\/([^/]+)$/, id => this.subscriptions.has(id) ? json(200, this.subscriptions.get(id)) : notFound()],
+            ['POST', /^\/v1\/billing\/subscriptions\/([^/]+)\/cancel$/, id => this.changeSubscription(id, ['ACTIVE', 'SUSPENDED'], 'CANCELLED')],
+            ['POST', /^\/v1\/billing\/subscriptions\/([^/]+)\/suspend$/, id => this.changeSubscription(id, ['ACTIVE'], 'SUSPENDED')],
+            ['POST', /^\/v1\/billing\/subscriptions\/([^/]+)\/activate$/, id => this.changeSubscription(id, ['SUSPENDED'], 'ACTIVE')],
+            ['POST', /^\/v1\/billing\/subscriptions\/([^/]+)\/revise$/, id => this.reviseSubscription(id, body)],
+            ['GET', /^\/v1\/billing\/subscriptions\/([^/]+)\/transactions$/, id => this.subscriptions.has(id)
+                ? json(200, { transactions: this.subscriptions.get(id).transactions || [] })
+                : notFound()],
+
+            ['POST', /^\/v1\/notifications\/verify-webhook-signature$/, () => json(200, {
+                verification_status: this.transmissions.has(body.transmission_sig) ? 'SUCCESS' : 'FAILURE'
+            })]
+        ];
+
+        for (const [routeMethod, pattern, handler] of routes) {
+            const match = path.match(pattern);
+            if (routeMethod === method && match) return handler(...match.slice(1));
+        }
+
+        return notFound('NOT_FOUND');
+    }
+
+    page(items, query) {
+        const size = Number(query.page_size) || 10;
+        const page = Number(query.page) || 1;
+        return items.slice((page - 1) * size, page * size);
+    }
+
+    createOrder(body) {
+        const unit = body.purchase_units?.[0];
+        if (!unit?.amount?.value || !unit.amount.currency_code) return unprocessable('MISSING_REQUIRED_PARAMETER');
+
+        const id = this.server.nextId('', 17);
+        const order = {
+            id,
+            intent: body.intent,
+            status: 'CREATED',
+            purchase_units: [{ reference_id: 'default', ...unit }],
+            create_time: new Date().toISOString(),
+            links: [
+                this.link('self', `https://api-m.sandbox.paypal.com/v2/checkout/orders/${id}`),
+                this.link('approve', `https://www.sandbox.paypal.com/checkoutnow?token=${id}`),
+                this.link('capture', `https://api-m.sandbox.paypal.com/v2/checkout/orders/${id}/capture`, 'POST')
+            ]
+        };
+
+        // not part of paypal's response, only what the buyer's browser gets sent to
+        Object.defineProperty(order, 'mock', {
+            value: { returnUrl: body.application_context?.return_url, cancelUrl: body.application_context?.cancel_url },
+            enumerable: false
+        });
+
+        this.orders.set(id, order);
+        return json(201, order);
+    }
+
+    captureOrder(id) {
+        const order = this.orders.get(id);
+        if (!order) return notFound();
+        if (order.status === 'COMPLETED') return unprocessable('ORDER_ALREADY_CAPTURED');
+        if (order.status !== 'APPROVED') return unprocessable('ORDER_NOT_APPROVED');
+        if (order.mock.decline) return unprocessable('INSTRUMENT_DECLINED');
+
+        const unit = order.purchase_units[0];
+        const captureId = this.server.nextId('', 17);
+        const capture = {
+            id: captureId,
+            status: 'COMPLETED',
+            amount: order.mock.paidAmount || { currency_code: unit.amount.currency_code, value: unit.amount.value },
+            custom_id: unit.custom_id,
+            final_capture: true,
+            create_time: new Date().toISOString(),
+            supplementary_data: { related_ids: { order_id: id } },
+            links: [
+                this.link('self', `https://api-m.sandbox.paypal.com/v2/payments/captures/${captureId}`),
+                this.link('refund', `https://api-m.sandbox.paypal.com/v2/payments/captures/${captureId}/refund`, 'POST'),
+                this.link('up', `https://api-m.sandbox.paypal.com/v2/checkout/orders/${id}`)
+            ]
+        };
+
+        this.captures.set(captureId, capture);
+        order.status = 'COMPLETED';
+        unit.payments = { captures: [capture] };
+
+        return json(201, order);
+    }
+
+    refundCapture(captureId, body = {}) {
+        const capture = this.captures.get(captureId);
+        if (!capture) return notFound();
+        if (capture.status === 'REFUNDED') return unprocessable('CAPTURE_FULLY_REFUNDED');
+
+        const currency = capture.amount.currency_code;
+        const decimals = decimalsOf(capture.amount.value);
+        const refunded = [...this.refunds.values()]
+            .filter(refund => refund.mock.captureId === captureId)
+            .reduce((sum, refund) => sum + toMinor(refund.amount.value, decimals), 0);
+
+        const remaining = toMinor(capture.amount.value, decimals) - refunded;
+        const amount = body.amount?.value ? toMinor(body.amount.value, decimals) : remaining;
+        if (amount <= 0 || amount > remaining) return unprocessable('REFUND_AMOUNT_EXCEEDED');
+
+        const id = this.server.nextId('', 17);
+        const refund = {
+            id,
+            status: 'COMPLETED',
+            amount: { currency_code: currency, value: fromMinor(amount, decimals) },
+            note_to_payer: body.note_to_payer,
+            custom_id: capture.custom_id,
+            create_time: new Date().toISOString(),
+            links: [
+                this.link('self', `https://api-m.sandbox.paypal.com/v2/payments/refunds/${id}`),
+                this.link('up', `https://api-m.sandbox.paypal.com/v2/payments/captures/${captureId}`)
+            ]
+        };
+        Object.defineProperty(refund, 'mock', { value: { captureId }, enumerable: false });
+
+        this.refunds.set(id, refund);
+        capture.status = amount === remaining ? 'REFUNDED' : 'PARTIALLY_REFUNDED';
+
+        return json(201, refund);
+    }
+
+    createProduct(body) {
+        if (!body.name) return unprocessable('MISSING_REQUIRED_PARAMETER');
+
+        const product = {
+            id: this.server.nextId('PROD-', 17),
+            name: body.name,
+            description: body.description,
+            type: body.type || 'PHYSICAL',
+            category: body.category,
+            create_time: new Date().toISOString()
+        };
+
+        this.products.set(product.id, product);
+        return json(201, product);
+    }
+
+    createPlan(body) {
+        if (!this.products.has(body.product_id)) return unprocessable('INVALID_PARAMETER_VALUE');
+        if (!body.billing_cycles?.length) return unprocessable('MISSING_REQUIRED_PARAMETER');
+
+        const plan = {
+            id: this.server.nextId('P-', 24),
+            status: 'ACTIVE',
+            ...body,
+            create_time: new Date().toISOString()
+        };
+
+        this.plans.set(plan.id, plan);
+        return json(201, plan);
+    }
+
+    updatePricing(id, body) {
+        const plan = this.plans.get(id);
+        if (!plan) return notFound();
+
+        for (const scheme of body.pricing_schemes || []) {
+            const cycle = plan.billing_cycles.find(cycle => cycle.sequence === scheme.billing_cycle_sequence);
+            if (!cycle) return unprocessable('INVALID_BILLING_CYCLE_SEQUENCE');
+            cycle.pricing_scheme = scheme.pricing_scheme;
+        }
+
+        return json(204, null);
+    }
+
+    setPlanStatus(id, status) {
+        const plan = this.plans.get(id);
+        if (!plan) return notFound();
+
+        plan.status = status;
+        return json(204, null);
+    }
+
+    createSubscription(body) {
+        const plan = this.plans.get(body.plan_id);
+        if (!plan || plan.status !== 'ACTIVE') return unprocessable('INVALID_PARAMETER_VALUE');
+
+        const id = this.server.nextId('I-', 12);
+        const subscription = {
+            id,
+            status: 'APPROVAL_PENDING',
+            plan_id: body.plan_id,
+            custom_id: body.custom_id,
+            quantity: body.quantity || '1',
+            create_time: new Date().toISOString(),
+            links: [
+                this.link('approve', `https://www.sandbox.paypal.com/webapps/billing/subscriptions?ba_token=BA-${id}`),
+                this.link('self', `https://api-m.sandbox.paypal.com/v1/billing/subscriptions/${id}`)
+            ]
+        };
+        Object.defineProperty(subscription, 'mock', {
+            value: { returnUrl: body.application_context?.return_url, cancelUrl: body.application_context?.cancel_url },
+            enumerable: false
+        });
+
+        this.subscriptions.set(id, subscription);
+        return json(201, subscription);
+    }
+
+    changeSubscription(id, from, status) {
+        const subscription = this.subscriptions.get(id);
+        if (!subscription) return notFound();
+        if (!from.includes(subscription.status)) return unprocessable('SUBSCRIPTION_STATUS_INVALID');
+
+        subscription.status = status;
+        return json(204, null);
+    }
+
+    reviseSubscription(id, body) {
+        const subscription = this.subscriptions.get(id);
+        if (!subscription) return notFound();
+        if (!this.plans.has(body.plan_id)) return unprocessable('INVALID_PARAMETER_VALUE');
+
+        const price = plan => plan.billing_cycles.find(cycle => cycle.tenure_type === 'REGULAR')?.pricing_scheme?.fixed_price?.value;
+        const needsConsent = price(this.plans.get(body.plan_id)) !== price(this.plans.get(subscription.plan_id));
+
+        const response = {
+            plan_id: body.plan_id,
+            effective_time: new Date().toISOString(),
+            plan_overridden: false,
+            links: []
+        };
+
+        // like paypal, a price change needs the buyer's consent first
+        if (needsConsent) {
+            subscription.mock.revision = { planId: body.plan_id, returnUrl: body.application_context?.return_url };
+            response.links.push(this.link('approve', `https://www.sandbox.paypal.com/webapps/billing/subscriptions/update?ba_token=BA-${id}`));
+        } else {
+            subscription.plan_id = body.plan_id;
+        }
+
+        if (body.quantity) subscription.quantity = body.quantity;
+        return json(200, response);
+    }
+
+    order(id) {
+        const order = this.orders.get(id);
+        if (!order) throw new Error(`unknown mock order: ${id}`);
+        return order;
+    }
+
+    subscription(id) {
+        const subscription = this.subscriptions.get(id);
+        if (!subscription) throw new Error(`unknown mock subscription: ${id}`);
+        return subscription;
+    }
+
+    // the buyer approves the order, returns the url paypal sends them back to.
+    // pass amount to capture a different amount than the order was created with
+    approve(orderId, { amount } = {}) {
+        const order = this.order(orderId);
+        order.status = 'APPROVED';
+
+        if (amount !== undefined) {
+            const unit = order.purchase_units[0];
+            order.mock.paidAmount = { currency_code: unit.amount.currency_code, value: String(amount) };
+        }
+
+        return withQuery(order.mock.returnUrl, { token: orderId, PayerID: 'MOCKPAYER' });
+    }
+
+    // the buyer approves but the capture is declined by the card issuer
+    decline(orderId) {
+        const url = this.approve(orderId);
+        this.order(orderId).mock.decline = true;
+        return url;
+    }
+
+    // the buyer cancels on paypal, returns the cancel url
+    cancel(orderId) {
+        return withQuery(this.order(orderId).mock.cancelUrl, { token: orderId });
+    }
+
+    expire(orderId) {
+        this.order(orderId).status = 'VOIDED';
+    }
+
+    // a refund made in the paypal dashboard, returns the refund resource
+    refund(captureOrOrderId, amount) {
+        const order = this.orders.get(captureOrOrderId);
+        const captureId = order ? order.purchase_units[0].payments?.captures?.[0]?.id : captureOrOrderId;
+
+        const result = this.refundCapture(captureId, amount === undefined ? {} : { amount: { value: String(amount) } });
+        if (result.status >= 400) throw new Error(`mock refund failed: ${result.body.details?.[0]?.issue || result.body.name}`);
+
+        return result.body;
+    }
+
+    approveSubscription(subscriptionId) {
+        const subscription = this.subscription(subscriptionId);
+        subscription.status = 'ACTIVE';
+        this.bill(subscription);
+
+        return withQuery(subscription.mock.returnUrl, {
+            subscription_id: subscriptionId,
+            ba_token: `BA-${subscriptionId}`,
+            token: this.server.nextId('', 17)
+        });
+    }
+
+    approveRevision(subscriptionId) {
+        const subscription = this.subscription(subscriptionId);
+        const revision = subscription.mock.revision;
+        if (!revision) throw new Error(`mock subscription ${subscriptionId} has no pending revision`);
+
+        subscription.plan_id = revision.planId;
+        delete subscription.mock.revision;
+
+        return withQuery(revision.returnUrl, { subscription_id: subscriptionId, ba_token: `BA-${subscriptionId}` });
+    }
+
+    setSubscriptionStatus(subscriptionId, status) {
+        this.subscription(subscriptionId).status = status;
+    }
+
+    // records a payment for the current plan price, returns the transaction
+    bill(subscription, status = 'COMPLETED') {
+        const plan = this.plans.get(subscription.plan_id);
+        const price = plan?.billing_cycles.find(cycle => cycle.tenure_type === 'REGULAR')?.pricing_scheme?.fixed_price
+            || { value: '0', currency_code: 'EUR' };
+
+        const transaction = {
+            id: this.server.nextId('', 17),
+            status,
+            amount_with_breakdown: {
+                gross_amount: { ...price },
+                fee_amount: { currency_code: price.currency_code, value: '0.00' },
+                net_amount: { ...price }
+            },
+            payer_email: 'buyer@example.com',
+            time: new Date().toISOString()
+        };
+
+        subscription.transactions = [...(subscription.transactions || []), transaction];
+        return transaction;
+    }
+
+    // delivers a signed webhook event to the paypal webhook route
+    async webhook(eventType, resource) {
+        const transmissionSig = crypto.randomBytes(32).toString('base64');
+        this.transmissions.add(transmissionSig);
+
+        const event = {
+            id: this.server.nextId('WH-', 17),
+            event_type: eventType,
+            resource_type: eventType.split('.').slice(-2, -1)[0]?.toLowerCase() || 'unknown',
+            resource,
+            create_time: new Date().toISOString()
+        };
+
+        return this.server.visit(this.server.webhookPath('paypal'), {
+            method: 'POST',
+            body: JSON.stringify(event),
+            headers: {
+                'paypal-auth-algo': 'SHA256withRSA',
+                'paypal-cert-url': 'https://api-m.sandbox.paypal.com/v1/notifications/certs/CERT-mock',
+                'paypal-transmission-id': crypto.randomUUID(),
+                'paypal-transmission-sig': transmissionSig,
+                'paypal-transmission-time': new Date().toISOString()
+            }
+        });
+    }
+}
+
+// crypto per unit of local currency the mock pays with, so payments carry a crypto amount
+const MOCK_ETH_RATE = 2000;
+
+function coinbaseError(status, type, message) {
+    return json(status, { error: { type, message } });
+}
+
+// cursor pagination like the coinbase list endpoints, newest first unless order=asc
+function paginate(items, { limit = 25, starting_after = null, ending_before = null, order = 'desc' }) {
+    const sorted = order === 'asc' ? [...items] : [...items].reverse();
+    limit = Math.min(Number(limit) || 25, 100);
+
+    let start = 0;
+    let end = sorted.length;
+    if (starting_after) start = sorted.findIndex(item => item.id === starting_after) + 1;
+    if (ending_before) end = Math.max(sorted.findIndex(item => item.id === ending_before), 0);
+
+    const data = ending_before ? sorted.slice(Math.max(end - limit, 0), end) : sorted.slice(start, start + limit);
+    const hasMore = ending_before ? end - limit > 0 : start + limit < sorted.length;
+
+    return json(200, {
+        pagination: {
+            order,
+            limit,
+            total: sorted.length,
+            yielded: data.length,
+            next_uri: hasMore ? `?starting_after=${data[data.length - 1]?.id}` : null
+        },
+        data
+    });
+}
+
+class MockCoinbase {
+    constructor(server) {
+        this.server = server;
+        this.charges = new Map();
+        this.checkouts = new Map();
+    }
+
+    handle(method, path, { body, query }) {
+        if (method === 'POST' && path === '/charges') return this.createCharge(body);
+        if (method === 'GET' && path === '/charges') return paginate([...this.charges.values()], query);
+        if (method === 'POST' && path === '/checkouts') return this.createCheckout(body);
+        if (method === 'GET' && path === '/checkouts') return paginate([...this.checkouts.values()], query);
+
+        let match = path.match(/^\/charges\/([^/]+)$/);
+        if (method === 'GET' && match) {
+            const charge = this.find(match[1]);
+            return charge ? json(200, { data: charge }) : coinbaseError(404, 'not_found', 'Not found');
+        }
+
+        match = path.match(/^\/charges\/([^/]+)\/(cancel|resolve)$/);
+        if (method === 'POST' && match) return this.changeCharge(match[1], match[2]);
+
+        match = path.match(/^\/checkouts\/([^/]+)$/);
+        if (match) {
+            const checkout = this.checkouts.get(match[1]);
+            if (!checkout) return coinbaseError(404, 'not_found', 'Not found');
+
+            if (method === 'GET') return json(200, { data: checkout });
+            if (method === 'PUT') return this.updateCheckout(checkout, body);
+            if (method === 'DELETE') {
+                this.checkouts.delete(checkout.id);
+                return json(200, {});
+            }
+        }
+
+        return coinbaseError(404, 'not_found', 'Not found');
+    }
+
+    // only NEW charges can be cancelled and only UNRESOLVED ones resolved
+    changeCharge(idOrCode, action) {
+        const charge = this.find(idOrCode);
+        if (!charge) return coinbaseError(404, 'not_found', 'Not found');
+
+        const status = charge.timeline[charge.timeline.length - 1].status;
+        if (action === 'cancel' && status !== 'NEW') return coinbaseError(400, 'invalid_request', 'Charge can not be canceled');
+        if (action === 'resolve' && status !== 'UNRESOLVED') return coinbaseError(400, 'invalid_request', 'Charge can not be resolved');
+
+        this.setStatus(charge.id, action === 'cancel' ? 'CANCELED' : 'RESOLVED');
+        return json(200, { data: charge });
+    }
+
+    createCheckout(body) {
+        const error = this.checkPrice(body);
+        if (error) return error;
+
+        const checkout = {
+            id: crypto.randomUUID(),
+            resource: 'checkout',
+            name: body.name,
+            description: body.description,
+            pricing_type: body.pricing_type,
+            ...(body.local_price && { local_price: body.local_price }),
+            requested_info: body.requested_info || []
+        };
+
+        this.checkouts.set(checkout.id, checkout);
+        return json(201, { data: checkout });
+    }
+
+    updateCheckout(checkout, body) {
+        const error = body.pricing_type ? this.checkPrice(body) : null;
+        if (error) return error;
+
+        for (const key of ['name', 'description', 'pricing_type', 'local_price', 'requested_info']) {
+            if (key in body) checkout[key] = body[key];
+        }
+        if (checkout.pricing_type === 'no_price') delete checkout.local_price;
+
+        return json(200, { data: checkout });
+    }
+
+    checkPrice(body) {
+        if (body.pricing_type === 'no_price') return null;
+        if (!body.local_price?.amount || !body.local_price?.currency) {
+            return coinbaseError(400, 'invalid_request', 'local_price is required');
+        }
+        return null;
+    }
+
+    find(idOrCode) {
+        return this.charges.get(idOrCode) || [...this.charges.values()].find(charge => charge.code === idOrCode) || null;
+    }
+
+    createCharge(body, checkout = null) {
+        const error = this.checkPrice(body);
+        if (error) return error;
+
+        const id = crypto.randomUUID();
+        const code = crypto.randomBytes(4).toString('hex').toUpperCase();
+        const now = new Date();
+
+        const charge = {
+            id,
+            code,
+            name: body.name,
+            description: body.description,
+            pricing_type: body.pricing_type,
+            hosted_url: `https://commerce.coinbase.com/charges/${code}`,
+            created_at: now.toISOString(),
+            expires_at: new Date(now.getTime() + 60 * 60 * 1000).toISOString(),
+            metadata: body.metadata || {},
+            pricing: body.local_price ? {
+                local: { amount: body.local_price.amount, currency: body.local_price.currency }
+            } : {},
+            ...(checkout && { checkout: { id: checkout.id } }),
+            payments: [],
+            timeline: [{ time: now.toISOString(), status: 'NEW' }],
+            redirect_url: body.redirect_url,
+            cancel_url: body.cancel_url
+        };
+
+        this.charges.set(id, charge);
+        return json(201, { data: charge });
+    }
+
+    charge(idOrCode) {
+        const charge = this.find(idOrCode);
+        if (!charge) throw new Error(`unknown mock charge: ${idOrCode}`);
+        return charge;
+    }
+
+    setStatus(idOrCode, status, context) {
+        const charge = this.charge(idOrCode);
+        charge.timeline.push({ time: new Date().toISOString(), status, ...(context && { context }) });
+        return charge;
+    }
+
+    // the buyer pays, returns the url coinbase sends them back to.
+    // paying less or more than asked leaves the charge UNRESOLVED like coinbase does,
+    // no_price charges take any amount in `currency`
+    pay(idOrCode, { amount, currency = 'EUR' } = {}) {
+        const charge = this.charge(idOrCode);
+
+        if (charge.pricing_type === 'no_price') {
+            if (amount === undefined) throw new Error("no_price charges need an amount");
+            charge.pricing.local = { amount: String(amount), currency };
+        }
+
+        const local = charge.pricing.local;
+        const paid = amount === undefined ? local.amount : String(amount);
+        const decimals = Math.max(decimalsOf(paid), 2);
+
+        charge.payments.push({
+            network: 'ethereum',
+            transaction_id: `0x${crypto.randomBytes(32).toString('hex')}`,
+            status: 'CONFIRMED',
+            value: {
+                local: { amount: paid, currency: local.currency },
+                crypto: { amount: fromMinor(Math.round(toMinor(paid, decimals) * 10 ** (8 - decimals) / MOCK_ETH_RATE), 8), currency: 'ETH' }
+            },
+            detected_at: new Date().toISOString()
+        });
+
+        this.setStatus(charge.id, 'PENDING');
+
+        const precision = Math.max(decimalsOf(paid), decimalsOf(local.amount));
+        const difference = toMinor(paid, precision) - toMinor(local.amount, precision);
+
+        if (difference === 0) this.setStatus(charge.id, 'COMPLETED');
+        else this.setStatus(charge.id, 'UNRESOLVED', difference < 0 ? 'UNDERPAID' : 'OVERPAID');
+
+        // charges from hosted checkouts have no redirect url
+        return charge.redirect_url ? withQuery(charge.redirect_url, { code: charge.code }) : null;
+    }
+
+    // a buyer pays on a hosted checkout page, which creates a charge for them first.
+    // resolves with the charge, deliver its webhook to let dSyncPay know
+    payCheckout(checkoutId, { amount, currency = 'EUR', metadata = {} } = {}) {
+        const checkout = this.checkouts.get(checkoutId);
+        if (!checkout) throw new Error(`unknown mock checkout: ${checkoutId}`);
+
+        const { body } = this.createCharge({
+            name: checkout.name,
+            description: checkout.description,
+            pricing_type: checkout.pricing_type,
+            local_price: checkout.local_price,
+            metadata
+        }, checkout);
+
+        this.pay(body.data.id, { amount, currency });
+        return body.data;
+    }
+
+    // a charge is paid late, after it expired
+    delay(idOrCode) {
+        this.setStatus(idOrCode, 'UNRESOLVED', 'DELAYED');
+    }
+
+    // a merchant resolves an unresolved charge in the coinbase dashboard
+    resolve(idOrCode) {
+        this.setStatus(idOrCode, 'RESOLVED');
+    }
+
+    expire(idOrCode) {
+        this.setStatus(idOrCode, 'EXPIRED');
+    }
+
+    // the buyer cancels on the hosted page, returns the cancel url
+    cancel(idOrCode) {
+        const charge = this.setStatus(idOrCode, 'CANCELED');
+        return charge.cancel_url;
+    }
+
+    // delivers a signed webhook event for the charge's current state to the coinbase webhook route
+    async webhook(type, idOrCode) {
+        const secret = this.server.payments.providers.coinbase?.config.webhookSecret;
+        if (!secret) throw new Error("coinbase.webhookSecret is not set");
+
+        const payload = JSON.stringify({
+            id: this.server.nextId('', 12),
+            scheduled_for: new Date().toISOString(),
+            attempt_number: 1,
+            event: {
+                id: crypto.randomUUID(),
+                type,
+                api_version: '2018-03-22',
+                created_at: new Date().toISOString(),
+                data: this.charge(idOrCode)
+            }
+        });
+
+        const signature = crypto.createHmac('sha256', secret).update(payload).digest('hex');
+
+        return this.server.visit(this.server.webhookPath('coinbase'), {
+            method: 'POST',
+            body: payload,
+            headers: { 'x-cc-webhook-signature': signature }
+        });
+    }
+}
@@ -0,0 +1,20 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { setup } from "./helpers.mjs";
+
+test('a paypal capture for another amount is flagged and never completes', async () => {
+    const { payments, mock, named } = setup();
+    const order = await payments.paypal.createOrder({ title: 'shirt', price: 19.99 });
+
+    await mock.visit(mock.paypal.approve(order.orderId, { amount: '1.00' }));
+    await payments.paypal.verifyOrder(order.orderId);
+
+    assert.equal(named('completed').length, 0);
+
+    const [mismatch] = named('error').filter(error => error.type === 'amount_mismatch');
+    assert.deepEqual(mismatch.expected, { amount: 19.99, currency: 'EUR' });
+    assert.equal(mismatch.received.amount, 1);
+
+    const [failed] = named('failed');
+    assert.equal(failed.status, 'AMOUNT_MISMATCH');
+});
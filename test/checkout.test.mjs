@@ -0,0 +1,49 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { setup } from "./helpers.mjs";
+
+// the buyer picks a provider on the checkout page, returns the payment that was started
+async function choose(payments, mock, sessionId, provider) {
+    const res = await mock.visit(`/payments/checkout/${sessionId}`, { method: 'POST', body: { provider } });
+    assert.equal(res.status, 303);
+
+    const session = await payments.getCheckoutSession(sessionId);
+    return session.payments.at(-1).paymentId;
+}
+
+test('a checkout session paid with one provider cancels the payments started with the others', async () => {
+    const { payments, mock, named } = setup();
+    const session = await payments.createCheckoutSession({ items: [{ title: 'shirt', price: 19.99 }] });
+
+    const chargeCode = await choose(payments, mock, session.id, 'coinbase');
+    const orderId = await choose(payments, mock, session.id, 'paypal');
+
+    const res = await mock.visit(mock.paypal.approve(orderId));
+    assert.match(res.location, /^\/payments\/payment-success\?/);
+
+    const current = await payments.getCheckoutSession(session.id);
+    assert.equal(current.status, 'completed');
+    assert.equal(current.payment.paymentId, orderId);
+
+    assert.deepEqual(named('cancelled').map(data => data.chargeCode), [chargeCode]);
+});
+
+test('a paypal order for a checkout session paid in the meantime is not captured', async () => {
+    const { payments, mock, named } = setup();
+    const session = await payments.createCheckoutSession({ items: [{ title: 'shirt', price: 19.99 }] });
+
+    const orderId = await choose(payments, mock, session.id, 'paypal');
+    const chargeCode = await choose(payments, mock, session.id, 'coinbase');
+
+    mock.coinbase.pay(chargeCode);
+    await mock.coinbase.webhook('charge:confirmed', chargeCode);
+
+    const res = await mock.visit(mock.paypal.approve(orderId));
+    assert.equal(res.location, '/payments/payment-error');
+    assert.equal(mock.paypal.order(orderId).status, 'APPROVED');
+
+    assert.deepEqual(named('completed').map(data => data.provider), ['coinbase']);
+    const [failed] = named('failed');
+    assert.equal(failed.status, 'CLOSED');
+    assert.equal(failed.closedReason, 'checkout_completed');
+});
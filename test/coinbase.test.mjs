@@ -0,0 +1,14 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { setup } from "./helpers.mjs";
+
+test('an underpaid coinbase charge fails with its context', async () => {
+    const { payments, mock, named } = setup();
+    const charge = await payments.coinbase.createCharge({ title: 'shirt', price: 19.99 });
+
+    mock.coinbase.pay(charge.chargeCode, { amount: '10.00' });
+    await mock.coinbase.webhook('charge:failed', charge.chargeCode);
+
+    assert.equal(named('completed').length, 0);
+    assert.equal(named('failed')[0].context, 'UNDERPAID');
+});
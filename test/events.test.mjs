@@ -0,0 +1,85 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { PaymentStatus, CallbackError } from "../index.mjs";
+import { setup } from "./helpers.mjs";
+
+test('a paypal order completes once, however often it is verified', async () => {
+    const { payments, mock, named } = setup();
+    const order = await payments.paypal.createOrder({ title: 'shirt', price: 19.99 });
+
+    await mock.visit(mock.paypal.approve(order.orderId));
+    const again = await payments.paypal.verifyOrder(order.orderId);
+
+    assert.equal(again.alreadyProcessed, true);
+    assert.equal(named('completed').length, 1);
+});
+
+test('a coinbase charge paid through the webhook and the redirect completes once', async () => {
+    const { payments, mock, named } = setup();
+    const charge = await payments.coinbase.createCharge({ title: 'shirt', price: 19.99 });
+
+    await mock.visit(mock.coinbase.pay(charge.chargeCode));
+    const res = await mock.coinbase.webhook('charge:confirmed', charge.chargeCode);
+
+    assert.equal(res.status, 200);
+    assert.equal(named('completed').length, 1);
+});
+
+test('a callback that throws is retried on the next delivery', async () => {
+    let attempts = 0;
+    const { payments, mock } = setup({
+        onPaymentCompleted: () => {
+            attempts++;
+            if (attempts === 1) throw new Error('database is down');
+        }
+    });
+
+    const charge = await payments.coinbase.createCharge({ title: 'shirt', price: 19.99 });
+    mock.coinbase.pay(charge.chargeCode);
+
+    const failed = await mock.coinbase.webhook('charge:confirmed', charge.chargeCode);
+    assert.equal(failed.status, 500);
+
+    const retried = await mock.coinbase.webhook('charge:confirmed', charge.chargeCode);
+    assert.equal(retried.status, 200);
+
+    await mock.coinbase.webhook('charge:confirmed', charge.chargeCode);
+    assert.equal(attempts, 2);
+});
+
+test('a payment whose callback throws stays open but the buyer sees it paid', async () => {
+    let attempts = 0;
+    const { payments, mock } = setup({
+        ledger: true,
+        onPaymentCompleted: () => {
+            attempts++;
+            if (attempts === 1) throw new Error('database is down');
+        }
+    });
+
+    const order = await payments.paypal.createOrder({ title: 'shirt', price: 19.99 });
+    const res = await mock.visit(mock.paypal.approve(order.orderId));
+
+    assert.match(res.location, /^\/payments\/payment-success\?/);
+    assert.equal((await payments.getTransaction(order.orderId)).status, PaymentStatus.CREATED);
+
+    const result = await payments.paypal.verifyOrder(order.orderId);
+    assert.equal(result.alreadyProcessed, false);
+    assert.equal(attempts, 2);
+    assert.equal((await payments.getTransaction(order.orderId)).status, PaymentStatus.COMPLETED);
+});
+
+test('emitOnce passes the callback error on with the verified result', async () => {
+    const error = new Error('database is down');
+    const { payments } = setup({ onPaymentCompleted: () => { throw error; } });
+    const data = { provider: 'paypal', status: 'COMPLETED' };
+
+    await assert.rejects(payments.emitOnce('onPaymentCompleted', 'ORDER-1', data), thrown => {
+        assert.ok(thrown instanceof CallbackError);
+        assert.equal(thrown.cause, error);
+        assert.equal(thrown.result, data);
+        return true;
+    });
+
+    assert.equal(await payments.claimEvent('onPaymentCompleted', 'paypal', 'ORDER-1'), true);
+});
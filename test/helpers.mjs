@@ -0,0 +1,45 @@
+import crypto from "crypto";
+import http from "http";
+import dSyncPay from "../index.mjs";
+
+// a mocked instance that records every callback as [event, data]
+export function setup(options = {}) {
+    const events = [];
+    const record = name => data => events.push([name, data]);
+
+    const payments = new dSyncPay({
+        domain: 'https://shop.test',
+        mock: true,
+        paypal: { clientId: 'test', clientSecret: 'test', webhookId: 'test' },
+        coinbase: { apiKey: 'test', webhookSecret: 'test' },
+        onPaymentCompleted: record('completed'),
+        onPaymentFailed: record('failed'),
+        onPaymentCancelled: record('cancelled'),
+        onPaymentRefunded: record('refunded'),
+        onSubscriptionActivated: record('subscriptionActivated'),
+        onSubscriptionCancelled: record('subscriptionCancelled'),
+        onSubscriptionSuspended: record('subscriptionSuspended'),
+        onSubscriptionPaymentFailed: record('subscriptionPaymentFailed'),
+        onError: record('error'),
+        ...options
+    });
+
+    const named = name => events.filter(([event]) => event === name).map(([, data]) => data);
+    return { payments, mock: payments.mock, events, named };
+}
+
+// serves handler on a free port for the duration of fn
+export async function serve(handler, fn) {
+    const server = http.createServer(handler);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+        return await fn(`http://127.0.0.1:${server.address().port}`);
+    } finally {
+        server.close();
+    }
+}
+
+export function coinbaseSignature(payload, secret = 'test') {
+    return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+}
@@ -0,0 +1,37 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { PaymentStatus } from "../index.mjs";
+import { setup } from "./helpers.mjs";
+
+test('the ledger follows a payment from creation to its refund', async () => {
+    const { payments, mock } = setup({ ledger: true });
+    const order = await payments.paypal.createOrder({ title: 'shirt', price: 19.99, metadata: { userId: '1' } });
+
+    await mock.visit(mock.paypal.approve(order.orderId));
+    await payments.paypal.refundPayment({ paymentId: order.orderId, amount: 19.99 });
+
+    const record = await payments.getTransaction(order.orderId);
+    assert.equal(record.status, PaymentStatus.REFUNDED);
+    assert.equal(record.amount, 19.99);
+    assert.deepEqual(record.history.map(entry => entry.event), ['onPaymentCreated', 'onPaymentCompleted', 'onPaymentRefunded']);
+
+    const listed = await payments.listTransactions({ metadata: { userId: '1' } });
+    assert.deepEqual(listed.map(entry => entry.id), [record.id]);
+});
+
+test('subscriptions are recorded with their status changes', async () => {
+    const { payments, mock } = setup({ ledger: true });
+    const plan = await payments.paypal.createPlan({ name: 'pro', price: 9 });
+    const { subscriptionId } = await payments.paypal.createSubscription({ planId: plan.planId });
+
+    await mock.visit(mock.paypal.approveSubscription(subscriptionId));
+    assert.equal((await payments.getTransaction(subscriptionId)).status, 'active');
+
+    await payments.paypal.suspendSubscription(subscriptionId);
+    await payments.paypal.cancelSubscription(subscriptionId);
+
+    const record = await payments.getTransaction(subscriptionId);
+    assert.equal(record.type, 'subscription');
+    assert.equal(record.status, PaymentStatus.CANCELLED);
+    assert.deepEqual(record.history.map(entry => entry.status), ['active', 'suspended', 'cancelled']);
+});
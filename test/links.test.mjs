@@ -0,0 +1,45 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { setup } from "./helpers.mjs";
+
+// a visitor picks a provider on the link's page, returns the payment that was started
+async function open(payments, mock, linkId, provider) {
+    const res = await mock.visit(`/payments/pay/${linkId}`, { method: 'POST', body: { provider } });
+    assert.equal(res.status, 303);
+
+    const link = await payments.getPaymentLink(linkId);
+    return link.payments.at(-1).paymentId;
+}
+
+test('a single use link opened twice is only paid once', async () => {
+    const { payments, mock, named } = setup();
+    const link = await payments.createPaymentLink({ title: 'consulting', amount: 120, maxUses: 1 });
+
+    const first = await open(payments, mock, link.id, 'paypal');
+    const second = await open(payments, mock, link.id, 'paypal');
+    const chargeCode = await open(payments, mock, link.id, 'coinbase');
+
+    await mock.visit(mock.paypal.approve(first));
+    const res = await mock.visit(mock.paypal.approve(second));
+    assert.equal(res.location, '/payments/payment-error');
+
+    const current = await payments.getPaymentLink(link.id);
+    assert.equal(current.uses, 1);
+    assert.equal(current.status, 'used');
+
+    assert.equal(named('completed').length, 1);
+    assert.equal(named('failed')[0].closedReason, 'link_used');
+    assert.deepEqual(named('cancelled').map(data => data.chargeCode), [chargeCode]);
+});
+
+test('a disabled link refuses payments that were started before', async () => {
+    const { payments, mock, named } = setup();
+    const link = await payments.createPaymentLink({ title: 'consulting', amount: 120 });
+
+    const orderId = await open(payments, mock, link.id, 'paypal');
+    await payments.disablePaymentLink(link.id);
+
+    await mock.visit(mock.paypal.approve(orderId));
+    assert.equal(named('completed').length, 0);
+    assert.equal(named('failed')[0].closedReason, 'link_disabled');
+});
@@ -0,0 +1,35 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { setup } from "./helpers.mjs";
+
+test('a paypal order approved in the mock completes through the verify route', async () => {
+    const { payments, mock, named } = setup();
+    const order = await payments.paypal.createOrder({ title: 'shirt', price: 19.99, metadata: { userId: '1' } });
+
+    const res = await mock.visit(mock.paypal.approve(order.orderId));
+    assert.equal(res.status, 302);
+    assert.match(res.location, /^\/payments\/payment-success\?/);
+
+    const [completed] = named('completed');
+    assert.equal(completed.amount, 19.99);
+    assert.deepEqual(completed.metadata, { userId: '1' });
+});
+
+test('a paypal order the buyer cancels fires onPaymentCancelled', async () => {
+    const { payments, mock, named } = setup();
+    const order = await payments.paypal.createOrder({ title: 'shirt', price: 19.99 });
+
+    await mock.visit(mock.paypal.cancel(order.orderId));
+    mock.paypal.expire(order.orderId);
+    await payments.paypal.verifyOrder(order.orderId);
+
+    assert.equal(named('completed').length, 0);
+    assert.equal(named('cancelled').length, 1);
+});
+
+test('api calls never leave the process and are listed', async () => {
+    const { payments, mock } = setup();
+    await payments.coinbase.createCharge({ title: 'shirt', price: 19.99 });
+
+    assert.ok(mock.requests.some(request => request.method === 'POST' && request.url.endsWith('/charges')));
+});
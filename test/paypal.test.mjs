@@ -0,0 +1,103 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { setup } from "./helpers.mjs";
+
+async function activeSubscription(payments, mock) {
+    const plan = await payments.paypal.createPlan({ name: 'pro', price: 9 });
+    const subscription = await payments.paypal.createSubscription({ planId: plan.planId });
+    await mock.visit(mock.paypal.approveSubscription(subscription.subscriptionId));
+    return subscription.subscriptionId;
+}
+
+test('paypal webhooks that paypal did not sign are rejected', async () => {
+    const { mock } = setup();
+
+    const res = await mock.visit(mock.webhookPath('paypal'), {
+        method: 'POST',
+        body: { id: 'WH-1', event_type: 'PAYMENT.CAPTURE.COMPLETED', resource: {} },
+        headers: { 'paypal-transmission-sig': 'forged' }
+    });
+
+    assert.equal(res.status, 401);
+});
+
+test('an order approved in a closed tab is captured by the webhook', async () => {
+    const { payments, mock, named } = setup();
+    const order = await payments.paypal.createOrder({ title: 'shirt', price: 19.99 });
+
+    mock.paypal.approve(order.orderId);
+    const res = await mock.paypal.webhook('CHECKOUT.ORDER.APPROVED', { id: order.orderId });
+
+    assert.equal(res.status, 200);
+    assert.equal(named('completed').length, 1);
+});
+
+test('the verify route and the webhook capturing at once both see the payment', async () => {
+    const { payments, mock, named } = setup();
+    const order = await payments.paypal.createOrder({ title: 'shirt', price: 19.99 });
+    mock.paypal.approve(order.orderId);
+
+    const results = await Promise.all([
+        payments.paypal.verifyOrder(order.orderId),
+        payments.paypal.verifyOrder(order.orderId)
+    ]);
+
+    assert.deepEqual(results.map(result => result.status), ['COMPLETED', 'COMPLETED']);
+    assert.equal(named('completed').length, 1);
+    assert.equal(named('error').length, 0);
+});
+
+test('a subscription activated by the return route and the webhook fires once', async () => {
+    const { payments, mock, named } = setup();
+    const subscriptionId = await activeSubscription(payments, mock);
+
+    await mock.paypal.webhook('BILLING.SUBSCRIPTION.ACTIVATED', mock.paypal.subscription(subscriptionId));
+
+    assert.equal(named('subscriptionActivated').length, 1);
+});
+
+test('a cancelled subscription fires once for the call and the webhook', async () => {
+    const { payments, mock, named } = setup();
+    const subscriptionId = await activeSubscription(payments, mock);
+
+    await payments.paypal.cancelSubscription(subscriptionId);
+    await mock.paypal.webhook('BILLING.SUBSCRIPTION.CANCELLED', mock.paypal.subscription(subscriptionId));
+
+    assert.equal(named('subscriptionCancelled').length, 1);
+});
+
+test('a subscription suspended and reactivated fires each change', async () => {
+    const { payments, mock, named } = setup();
+    const subscriptionId = await activeSubscription(payments, mock);
+
+    await payments.paypal.suspendSubscription(subscriptionId);
+    await mock.paypal.webhook('BILLING.SUBSCRIPTION.SUSPENDED', mock.paypal.subscription(subscriptionId));
+    await payments.paypal.activateSubscription(subscriptionId);
+    await mock.paypal.webhook('BILLING.SUBSCRIPTION.RE-ACTIVATED', mock.paypal.subscription(subscriptionId));
+
+    assert.equal(named('subscriptionSuspended').length, 1);
+    assert.equal(named('subscriptionActivated').length, 2);
+});
+
+test('paypal gets whole amounts for currencies it takes no decimals for', async () => {
+    const { payments, mock } = setup();
+    await payments.paypal.createOrder({ title: 'shirt', price: 1500, currency: 'HUF' });
+
+    const created = mock.requests.filter(request => request.method === 'POST' && request.url.endsWith('/v2/checkout/orders')).at(-1);
+    assert.equal(created.body.purchase_units[0].amount.value, '1500');
+
+    await assert.rejects(
+        payments.paypal.createOrder({ title: 'shirt', price: 1500.5, currency: 'TWD' }),
+        { name: 'ValidationError', code: 'DECIMALS_NOT_SUPPORTED' }
+    );
+});
+
+test('plan sync keeps a plan whose tax percentage is written as a string', async () => {
+    const { payments } = setup();
+    const plans = [{ slug: 'pro', name: 'Pro', price: 9.99, taxPercentage: '19' }];
+
+    await payments.paypal.syncPlans(plans, { product: 'Shop' });
+    const { changes } = await payments.paypal.syncPlans(plans, { product: 'Shop' });
+
+    assert.deepEqual(changes.map(change => change.action), ['unchanged']);
+});
@@ -0,0 +1,48 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { setup } from "./helpers.mjs";
+
+test('payments the reconciler expires are cancelled or recorded as expired', async () => {
+    const { payments, events } = setup({ ledger: true, reconcile: { interval: 60 * 60 * 1000, maxAge: -1 } });
+
+    try {
+        const order = await payments.paypal.createOrder({ title: 'shirt', price: 19.99 });
+        const charge = await payments.coinbase.createCharge({ title: 'shirt', price: 19.99 });
+
+        const summary = await payments.reconcile();
+        assert.equal(summary.expired, 2);
+
+        const settled = events.filter(([event]) => event === 'failed' || event === 'cancelled');
+        assert.deepEqual(settled.map(([event, data]) => [event, data.provider]).sort(), [['cancelled', 'coinbase'], ['failed', 'paypal']]);
+
+        assert.equal((await payments.getTransaction(order.orderId)).status, 'expired');
+        assert.equal((await payments.getTransaction(charge.chargeCode)).status, 'cancelled');
+    } finally {
+        payments.stopReconciler();
+    }
+});
+
+test('a payment whose callback threw is checked again on the next run', async () => {
+    let attempts = 0;
+    const { payments, mock } = setup({
+        reconcile: { interval: 60 * 60 * 1000 },
+        onPaymentCompleted: () => {
+            attempts++;
+            if (attempts === 1) throw new Error('database is down');
+        }
+    });
+
+    try {
+        const order = await payments.paypal.createOrder({ title: 'shirt', price: 19.99 });
+        await mock.visit(mock.paypal.approve(order.orderId));
+
+        const first = await payments.reconcile();
+        assert.equal(first.settled, 1);
+        assert.equal(attempts, 2);
+
+        const second = await payments.reconcile();
+        assert.equal(second.checked, 0);
+    } finally {
+        payments.stopReconciler();
+    }
+});
@@ -0,0 +1,63 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { setup } from "./helpers.mjs";
+
+test('signed redirects verify and reject tampered or expired params', async () => {
+    const { payments } = setup();
+    const query = Object.fromEntries(new URLSearchParams(payments.signRedirect({
+        payment_id: 'ORDER-1',
+        provider: 'paypal',
+        amount: '19.99',
+        currency: 'EUR'
+    })));
+
+    assert.deepEqual(payments.verifyRedirect(query), {
+        payment_id: 'ORDER-1',
+        provider: 'paypal',
+        amount: '19.99',
+        currency: 'EUR',
+        expires: query.expires
+    });
+
+    assert.equal(payments.verifyRedirect({ ...query, amount: '0.01' }), null);
+    assert.equal(payments.verifyRedirect({ ...query, signature: undefined }), null);
+
+    const other = setup().payments;
+    assert.equal(other.verifyRedirect(query), null);
+
+    const expired = setup({ redirectTtl: -1000 }).payments;
+    const stale = Object.fromEntries(new URLSearchParams(expired.signRedirect({ payment_id: 'ORDER-1', provider: 'paypal' })));
+    assert.equal(expired.verifyRedirect(stale), null);
+});
+
+test('the status endpoint only answers for signed redirects', async () => {
+    const { payments, mock } = setup();
+    const order = await payments.paypal.createOrder({ title: 'shirt', price: 19.99 });
+
+    const verify = await mock.visit(mock.paypal.approve(order.orderId));
+    const success = await mock.visit(verify.location);
+    assert.match(success.location, /^\/payments\/payment-status\.html\?/);
+
+    const query = new URL(success.location, 'https://shop.test').searchParams;
+    const status = await mock.visit(`/payments/status/${order.orderId}?${query}`);
+    assert.equal(status.status, 200);
+    assert.equal(status.body.status, 'completed');
+    assert.equal(status.body.amount, 19.99);
+
+    query.set('payment_id', 'ORDER-OTHER');
+    const forged = await mock.visit(`/payments/status/ORDER-OTHER?${query}`);
+    assert.equal(forged.status, 403);
+});
+
+test('paypal subscription statuses report the last payment as a number', async () => {
+    const { payments } = setup();
+    payments.paypal.getSubscription = async () => ({
+        status: 'ACTIVE',
+        rawResponse: { billing_info: { last_payment: { amount: { value: '9.990', currency_code: 'EUR' } } } }
+    });
+
+    const status = await payments.paypal.getStatus('I-1', { type: 'subscription' });
+    assert.equal(status.status, 'active');
+    assert.equal(status.amount, 9.99);
+    assert.equal(status.currency, 'EUR');
+});
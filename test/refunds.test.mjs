@@ -0,0 +1,42 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { setup } from "./helpers.mjs";
+
+test('paypal refunds fire once each with their own amount', async () => {
+    const { payments, mock, named } = setup();
+    const order = await payments.paypal.createOrder({ title: 'shirt', price: 20 });
+    await mock.visit(mock.paypal.approve(order.orderId));
+
+    const first = await payments.paypal.refundCapture({ orderId: order.orderId, amount: 5 });
+    const second = await payments.paypal.refundCapture({ orderId: order.orderId, amount: 2 });
+
+    // the webhook for a refund that was already reported changes nothing
+    await mock.paypal.webhook('PAYMENT.CAPTURE.REFUNDED', first.rawResponse);
+
+    assert.deepEqual(named('refunded').map(refund => [refund.refundId, refund.amount]), [
+        [first.refundId, 5],
+        [second.refundId, 2]
+    ]);
+});
+
+test('refunding more than is left is refused', async () => {
+    const { payments, mock, named } = setup();
+    const order = await payments.paypal.createOrder({ title: 'shirt', price: 20 });
+    await mock.visit(mock.paypal.approve(order.orderId));
+
+    await assert.rejects(payments.paypal.refundCapture({ orderId: order.orderId, amount: 50 }));
+    assert.equal(named('refunded').length, 0);
+});
+
+test('a refund made in the paypal dashboard arrives by webhook', async () => {
+    const { payments, mock, named } = setup();
+    const order = await payments.paypal.createOrder({ title: 'shirt', price: 20 });
+    await mock.visit(mock.paypal.approve(order.orderId));
+
+    const refund = mock.paypal.refund(order.orderId);
+    await mock.paypal.webhook('PAYMENT.CAPTURE.REFUNDED', refund);
+
+    const [refunded] = named('refunded');
+    assert.equal(refunded.refundId, refund.id);
+    assert.equal(refunded.amount, 20);
+});
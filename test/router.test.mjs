@@ -0,0 +1,67 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { setup, serve, coinbaseSignature } from "./helpers.mjs";
+
+// spacing a parsed and serialized again body would lose
+const payload = '{"event":  {"id":"evt","type":"charge:created","data":{"id":"unknown"}}}';
+const headers = { 'content-type': 'application/json', 'x-cc-webhook-signature': coinbaseSignature(payload) };
+
+// a json parser in front of the router, like express.json() with or without a verify hook
+function parseFirst(router, { keepRawBody = false } = {}) {
+    return (req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const raw = Buffer.concat(chunks);
+            req.body = JSON.parse(raw.toString('utf8'));
+            req._body = true;
+            if (keepRawBody) req.rawBody = raw;
+            router(req, res);
+        });
+    };
+}
+
+test('the router checks webhook signatures against the bytes that were sent', async () => {
+    const { payments, named } = setup();
+    const router = payments.router();
+
+    await serve(router, async url => {
+        const res = await fetch(`${url}/payments/webhook/coinbase`, { method: 'POST', headers, body: payload });
+        assert.equal(res.status, 200);
+    });
+
+    await serve(parseFirst(router, { keepRawBody: true }), async url => {
+        const res = await fetch(`${url}/payments/webhook/coinbase`, { method: 'POST', headers, body: payload });
+        assert.equal(res.status, 200);
+    });
+
+    await serve(parseFirst(router), async url => {
+        const res = await fetch(`${url}/payments/webhook/coinbase`, { method: 'POST', headers, body: payload });
+        assert.equal(res.status, 500);
+        assert.deepEqual(await res.json(), { ok: false, error: 'raw_body_unavailable' });
+    });
+
+    assert.ok(named('error').some(error => error.type === 'webhook' && /raw request body/.test(error.error)));
+});
+
+test('the router answers malformed json with 400', async () => {
+    const { payments } = setup();
+
+    await serve(payments.router(), async url => {
+        const res = await fetch(`${url}/payments/webhook/coinbase`, {
+            method: 'POST',
+            headers: { 'content-type': 'application/json' },
+            body: '{"event":'
+        });
+        assert.equal(res.status, 400);
+    });
+});
+
+test('instances side by side each answer their own redirects', async () => {
+    const shop = setup({ basePath: '/shop' }).payments;
+    const donations = setup({ basePath: '/donations' }).payments;
+
+    assert.equal(shop.redirects.success, '/shop/payment-success');
+    assert.equal(donations.redirects.success, '/donations/payment-success');
+    assert.equal(setup({ redirects: { error: '/oops' } }).payments.redirects.error, '/oops');
+});
@@ -0,0 +1,13 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { setup } from "./helpers.mjs";
+
+test('the status page ignores languages every object inherits', () => {
+    const { payments } = setup({ statusPage: { locale: 'de' } });
+
+    for (const lang of ['constructor', '__proto__', 'toString']) {
+        assert.equal(payments.statusPageLocale({ query: { lang }, headers: {} }), 'de');
+    }
+
+    assert.equal(payments.statusPageLocale({ query: {}, headers: { 'accept-language': 'fr-CH, en;q=0.8' } }), 'fr');
+});
@@ -0,0 +1,50 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { JsonFileStore, MemoryStore } from "../index.mjs";
+
+function tempFile(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dsync-pay-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return path.join(dir, 'store.json');
+}
+
+test('memory store entries expire after their ttl', async () => {
+    const store = new MemoryStore();
+    await store.set('kept', 1);
+    await store.set('gone', 2, -1);
+
+    assert.equal(await store.get('kept'), 1);
+    assert.equal(await store.get('gone'), null);
+    assert.deepEqual(await store.keys(), ['kept']);
+});
+
+test('json file store entries survive a restart', async t => {
+    const file = tempFile(t);
+    await new JsonFileStore(file).set('order', { id: 1 });
+
+    assert.deepEqual(await new JsonFileStore(file).get('order'), { id: 1 });
+});
+
+test('concurrent writes to a fresh json file store all persist', async t => {
+    const file = tempFile(t);
+    const store = new JsonFileStore(file);
+
+    await Promise.all([store.set('a', 1), store.set('b', 2), store.set('c', 3)]);
+
+    const reopened = new JsonFileStore(file);
+    assert.deepEqual(await reopened.keys(), ['a', 'b', 'c']);
+});
+
+test('a failed write does not break later writes', async t => {
+    const file = tempFile(t);
+    const store = new JsonFileStore(path.join(path.dirname(file), 'missing', 'store.json'));
+
+    await assert.rejects(store.set('a', 1), { code: 'ENOENT' });
+
+    store.filePath = file;
+    await store.set('b', 2);
+    assert.equal(await new JsonFileStore(file).get('b'), 2);
+});
@@ -0,0 +1,70 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { setup } from "./helpers.mjs";
+
+test('stripe refund events report each refund once with its own amount', async () => {
+    const { payments, named } = setup({ stripe: { secretKey: 'sk_test' } });
+    const refund = (id, amount, status = 'succeeded') => ({
+        id,
+        object: 'refund',
+        amount,
+        currency: 'eur',
+        status,
+        payment_intent: 'pi_1',
+        charge: 'ch_1',
+        metadata: {}
+    });
+
+    await payments.stripe.handleWebhookEvent({ type: 'refund.created', data: { object: refund('re_1', 300) } });
+    await payments.stripe.handleWebhookEvent({ type: 'charge.refund.updated', data: { object: refund('re_1', 300) } });
+    await payments.stripe.handleWebhookEvent({ type: 'refund.created', data: { object: refund('re_2', 200) } });
+    await payments.stripe.handleWebhookEvent({ type: 'refund.created', data: { object: refund('re_3', 100, 'failed') } });
+
+    assert.deepEqual(named('refunded').map(data => [data.refundId, data.amount]), [['re_1', 3], ['re_2', 2]]);
+});
+
+test('a failed stripe invoice fires onSubscriptionPaymentFailed', async () => {
+    const { payments, named } = setup({ stripe: { secretKey: 'sk_test' } });
+
+    await payments.stripe.handleWebhookEvent({
+        type: 'invoice.payment_failed',
+        data: { object: { id: 'in_1', subscription: 'sub_1', amount_due: 999, currency: 'eur' } }
+    });
+
+    const [failed] = named('subscriptionPaymentFailed');
+    assert.equal(failed.subscriptionId, 'sub_1');
+    assert.equal(failed.amount, 9.99);
+    assert.equal(failed.currency, 'EUR');
+    assert.equal(named('failed').length, 0);
+});
+
+test('stripe sessions charge shipping and discounts and refuse fixed tax', async () => {
+    const { payments } = setup({ stripe: { secretKey: 'sk_test' } });
+    const calls = [];
+
+    payments.stripe.call = async (path, { params } = {}) => {
+        calls.push({ path, params });
+        return path === '/coupons' ? { id: 'co_1' } : { id: 'cs_1', url: 'https://checkout.stripe.test/cs_1' };
+    };
+
+    const session = await payments.createPayment({
+        provider: 'stripe',
+        items: [{ title: 'shirt', price: 10 }],
+        shipping: 5,
+        handling: 1,
+        discount: 2
+    });
+
+    assert.equal(session.amount, 14);
+    assert.equal(calls[0].params.amount_off, 200);
+
+    const { params } = calls[1];
+    assert.equal(params.shipping_options[0].shipping_rate_data.fixed_amount.amount, 600);
+    assert.deepEqual(params.discounts, [{ coupon: 'co_1' }]);
+
+    await assert.rejects(
+        payments.createPayment({ provider: 'stripe', items: [{ title: 'shirt', price: 10 }], taxTotal: 2 }),
+        { name: 'ValidationError' }
+    );
+});
+
@@ -0,0 +1,40 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { setup, coinbaseSignature } from "./helpers.mjs";
+
+test('coinbase webhooks are only handled with a valid signature', async () => {
+    const { payments, mock } = setup();
+    const charge = await payments.coinbase.createCharge({ title: 'shirt', price: 19.99 });
+    const payload = JSON.stringify({ event: { id: 'evt', type: 'charge:created', data: { id: charge.chargeId } } });
+
+    const forged = await mock.visit(mock.webhookPath('coinbase'), {
+        method: 'POST',
+        body: payload,
+        headers: { 'x-cc-webhook-signature': coinbaseSignature(payload, 'wrong') }
+    });
+    assert.equal(forged.status, 401);
+
+    const missing = await mock.visit(mock.webhookPath('coinbase'), { method: 'POST', body: payload });
+    assert.equal(missing.status, 401);
+
+    const valid = await mock.visit(mock.webhookPath('coinbase'), {
+        method: 'POST',
+        body: payload,
+        headers: { 'x-cc-webhook-signature': coinbaseSignature(payload) }
+    });
+    assert.equal(valid.status, 200);
+});
+
+test('coinbase signatures are checked against the raw body a json parser kept', async () => {
+    const { mock } = setup();
+
+    // spacing a parsed and serialized again body would lose
+    const payload = '{"event":  {"id":"evt","type":"charge:created","data":{"id":"unknown"}}}';
+
+    const res = await mock.visit(mock.webhookPath('coinbase'), {
+        method: 'POST',
+        body: payload,
+        headers: { 'x-cc-webhook-signature': coinbaseSignature(payload) }
+    });
+    assert.equal(res.status, 200);
+});